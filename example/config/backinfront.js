@@ -1,4 +1,4 @@
-import Backinfront from '../../src/backinfront/index.js'
+import Backinfront, { createFetchTransport } from '../../src/backinfront/index.js'
 
 import UserStore from '../stores/User.js'
 import ContactStore from '../stores/Contact.js'
@@ -22,6 +22,15 @@ const backinfront = new Backinfront({
   ],
   populateUrl: 'https://api.example.com/offline/populate',
   syncUrl: 'https://api.example.com/offline/sync',
+  // Contact attachments are uploaded separately
+  syncBlobUrl: 'https://api.example.com/offline/blobs',
+  // Sync every 12 hours if the browser allows it
+  periodicSyncInterval: 12 * 60 * 60 * 1000,
+  // Give up faster on slow mobile networks
+  transport: createFetchTransport({
+    timeout: 10000,
+    retries: 3
+  }),
   headers: () => {
     const token = localStorage.get('token')
     return {
@@ -48,10 +57,14 @@ const backinfront = new Backinfront({
       ? valueAsArray
       : value
   },
-  // It's the default, feel free to overwrite it
-  formatDataBeforeSave: () => {
-    return JSON.parse(JSON.stringify(data))
-  },
+  // Send the same error body as the server, so the frontend handles errors the same way online & offline
+  serializeError: (error) => ({
+    status: error.status ?? 500,
+    body: {
+      errorCode: error.code ?? 'INTERNAL_ERROR',
+      errorMessage: error.reason ?? error.message
+    }
+  }),
   onRequest: ({ route, result, error }) => {
     if (error) {
       console.warn(`[Backinfront][Request Error] ${route.url.href}`, error)
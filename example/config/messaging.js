@@ -33,8 +33,8 @@ const messages = {
     await backinfront.destroy()
     await postMessage(`sw:auth:logout:end`)
   },
-  // you must let the window control the sync loop
-  // because it will force the service worker to be up
+  // Backinfront syncs on its own with the Background Sync API
+  // but the window can still request an immediate sync
   'window:sync': async () => {
     await backinfront.sync()
   }
@@ -5,10 +5,54 @@ export default {
       storeName: 'Contact',
       presets: ['create', 'retrieve', 'update']
     },
+    {
+      method: 'POST',
+      pathname: '/:primaryKey/attachments',
+      // Multipart body: { file: File }, the file is saved as a Blob & uploaded on sync
+      schema: {
+        body: {
+          file: { type: 'blob', required: true }
+        }
+      },
+      handler: async ({ pathParams, body, transaction }, { Contact }) => {
+        const contact = await Contact.findOne(pathParams.primaryKey, transaction)
+
+        if (!contact) {
+          return { status: 404 }
+        }
+
+        // The data must include the primary key, the other fields are kept
+        return Contact.update(contact.id, {
+          id: contact.id,
+          attachments: [
+            ...(contact.attachments ?? []),
+            { name: body.file.name, file: body.file }
+          ]
+        }, transaction)
+      }
+    },
+    {
+      method: 'GET',
+      pathname: '/:primaryKey/attachments/:index(\\d+)',
+      handler: async ({ pathParams }, { Contact }) => {
+        const contact = await Contact.findOne(pathParams.primaryKey)
+        const attachment = contact?.attachments?.[pathParams.index]
+
+        // Blobs are sent as is
+        return attachment?.file ?? { status: 404 }
+      }
+    },
     {
       method: 'GET',
       pathname: '/',
       // Advanced example of contact search implementation on multiple fields
+      schema: {
+        searchParams: {
+          limit: { type: 'number' },
+          offset: { type: 'number' },
+          search: { type: 'string' }
+        }
+      },
       handler: async ({ searchParams }, { Contact }) => {
         const { limit, offset, search } = searchParams
 
@@ -1,5 +1,18 @@
+import { NotFoundError } from '../../src/backinfront/index.js'
+
+
 export default {
   baseUrl: 'https://api.example.com/projects',
+  // Executed before every route of the router
+  middlewares: [
+    async (ctx, next) => {
+      if (!ctx.session.encodedToken) {
+        return new Response(undefined, { status: 401 })
+      }
+
+      return next()
+    }
+  ],
   routes: [
     {
       storeName: 'Project',
@@ -8,10 +21,20 @@ export default {
     {
       method: 'GET',
       pathname: '/',
-      handler: async ({ searchParams }, { Clientfile }) => {
-        const { limit, offset, search } = searchParams
+      // ?filter[status]=ACCEPTED&filter[startDate][$gte]=2024-01-01&sort=-startDate,author.lastName&limit=20
+      query: {
+        filterable: {
+          'status': 'string',
+          'startDate': 'date',
+          'author.lastName': 'string'
+        },
+        sortable: ['createdAt', 'startDate', 'author.lastName'],
+        maxLimit: 100
+      },
+      handler: async ({ searchParams, query }, { Clientfile }) => {
+        const { search } = searchParams
 
-        let where = {}
+        let where = query.where
 
         if (search) {
           const number = []
@@ -35,18 +58,40 @@ export default {
           }
 
           where = {
-            $or: [
-              { $and: number },
-              { $and: orderGiverName }
+            $and: [
+              query.where,
+              {
+                $or: [
+                  { $and: number },
+                  { $and: orderGiverName }
+                ]
+              }
             ]
           }
         }
 
         return Clientfile.findManyAndCount({
           where,
-          offset,
-          limit,
-          order: ['createdAt', 'DESC']
+          offset: query.offset,
+          limit: query.limit,
+          order: query.order ?? ['createdAt', 'DESC']
+        })
+      }
+    },
+    {
+      method: 'GET',
+      pathname: '/dashboard',
+      handler: async (ctx, { Project }) => {
+        return Project.aggregate({
+          where: {
+            status: 'ACCEPTED'
+          },
+          groupBy: ['author.lastName'],
+          aggregates: {
+            count: ['count'],
+            firstStartDate: ['min', 'startDate'],
+            lastStartDate: ['max', 'startDate']
+          }
         })
       }
     },
@@ -58,7 +103,8 @@ export default {
           where: {
             status: 'UNSCHEDULED'
           },
-          order: ['createdAt', 'ASC']
+          order: ['createdAt', 'ASC'],
+          include: ['author', 'contacts']
         })
       }
     },
@@ -89,8 +135,14 @@ export default {
         const projectData = body
         const project = await Project.findOne(pathParams.projectId, transaction)
 
-        if (!['ACCEPTED'].includes(project.status)) {
-          return Response(undefined, {
+        // Throw an error mapped to a status & a json body by `serializeError`
+        if (!project) {
+          throw new NotFoundError('Project not found')
+        }
+
+        // Or return a Response
+        if (project.status === 'ACCEPTED') {
+          return new Response(null, {
             status: 304,
             statusText: 'Project already accepted'
           })
@@ -3,7 +3,36 @@ export default {
   routes: [
     {
       storeName: 'User',
-      presets: ['create', 'list', 'retrieve', 'update']
+      presets: ['create', 'list', 'retrieve', 'update', 'patch', 'delete'],
+      // Keep the local users up to date while online
+      strategy: 'stale-while-revalidate'
+    },
+    {
+      method: 'GET',
+      // Matches `/:userId/projects` (without status) & `/:userId/projects/ACCEPTED`
+      pathname: '/:userId/projects/:status?',
+      handler: async ({ pathParams, transaction }, { Project }) => {
+        const { userId, status } = pathParams
+
+        return Project.findMany({
+          where: {
+            'developer.id': userId,
+            ...(status ? { status } : {})
+          }
+        }, transaction)
+      }
+    },
+    {
+      method: 'GET',
+      // Matched before the `/:primaryKey` route of the `retrieve` preset: a static segment is more specific than a param
+      pathname: '/developers',
+      handler: async (ctx, { User }) => {
+        return User.findMany({
+          where: {
+            role: 'DEV'
+          }
+        })
+      }
     },
     {
       method: 'GET',
@@ -2,6 +2,8 @@ export default {
   storeName: 'Contact',
   primaryKey: 'id',
   indexes: {
-    'lastName,firstName': ['lastName', 'firstName']
+    'lastName,firstName': ['lastName', 'firstName'],
+    // Used to include the contacts of projects
+    'projectId': 'projectId'
   }
 }
@@ -2,6 +2,13 @@ export default {
   storeName: 'Project',
   primaryKey: 'id',
   indexes: {
-    'createdAt': 'createdAt'
+    'createdAt': 'createdAt',
+    // Used by the conditions on status & startDate
+    'status,startDate': ['status', 'startDate']
+  },
+  // Loaded with the `include` option of the find methods
+  relations: {
+    author: { type: 'belongsTo', storeName: 'User', foreignKey: 'authorId' },
+    contacts: { type: 'hasMany', storeName: 'Contact', foreignKey: 'projectId' }
   }
 }
@@ -1 +1,8 @@
 export { default, default as Backinfront } from './src/Backinfront.js'
+export { default as HttpError } from './src/HttpError.js'
+export { default as RouteError } from './src/RouteError.js'
+export { default as NotFoundError } from './src/NotFoundError.js'
+export { default as ValidationError } from './src/ValidationError.js'
+export { default as ConflictError } from './src/ConflictError.js'
+export { default as ForbiddenError } from './src/ForbiddenError.js'
+export { createFetchTransport } from './src/services/transport.js'
@@ -2,9 +2,9 @@ import {
   has,
   deduplicateArray,
   getDeepValue,
-  isAfterDate,
+  isNumber,
+  isObject,
   mergeObject,
-  stringifySearchParams,
   typecheck,
   waitUntil
 } from 'bibliotech'
@@ -16,16 +16,93 @@ import {
   deleteIndex,
   deleteStore
 } from './services/database.js'
+import { extractBlobs, toStorableData } from './services/blob.js'
+import { readRequestBody } from './services/body.js'
+import { isSameValue } from './services/equality.js'
+import { applyPatch } from './services/jsonPatch.js'
+import { parseQueryString } from './services/queryString.js'
+import { validateSchema } from './services/schema.js'
+import { createFetchTransport, parseBody } from './services/transport.js'
 import CustomError from './CustomError.js'
+import HttpError from './HttpError.js'
 import QueryLanguage from './QueryLanguage.js'
-import Router from './Router.js'
+import RouteError from './RouteError.js'
+import Router, { compareRouteSpecificity } from './Router.js'
 import Store from './Store.js'
+import ValidationError from './ValidationError.js'
+
+
+/**
+ * Convert an error thrown by a route into a response description
+ * Errors which are not a RouteError are internal errors (500)
+ * @param {Error} error
+ * @return {{ status: number, body: object }}
+ */
+function serializeRouteError (error) {
+  const isRouteError = error instanceof RouteError
+
+  return {
+    status: isRouteError ? error.status : 500,
+    body: {
+      error: {
+        code: isRouteError ? error.code : 'INTERNAL_ERROR',
+        message: isRouteError ? error.reason : error.message,
+        details: isRouteError ? error.details : null
+      }
+    }
+  }
+}
+
+/**
+ * Check if a route result describes the response: `{ status, headers, body }`
+ * @param {any} result
+ * @return {boolean}
+ */
+function isResponseDescription (result) {
+  return (
+    isObject(result) &&
+    isNumber(result.status) &&
+    Object.keys(result).every(key => ['status', 'headers', 'body'].includes(key))
+  )
+}
+
+/**
+ * Decode a path param, malformed values are kept as is
+ * @param {string} value
+ * @return {string}
+ */
+function decodePathParam (value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Chronological order of the sync queue items
+ * @param {object} item
+ * @param {object} other
+ * @return {number}
+ */
+function compareSyncQueueItems (item, other) {
+  return item.createdAt.localeCompare(other.createdAt) || (item.position ?? 0) - (other.position ?? 0)
+}
 
 
 export default class Backinfront {
   #metadataStoreName = '__Metadata'
   #syncQueueStoreName = '__SyncQueue'
-  #syncInProgress = false
+  #syncBaseStoreName = '__SyncBase'
+  #syncPromise = null
+  #syncRequested = false
+  #syncQueuePosition = 0
+  #syncFailures = 0
+  #syncRetryAt = 0
+  #syncTimeoutId = null
+  #pendingTimeoutId = null
+  #eventListeners = {}
+  #eventChannel = null
   #databaseConfigurationStarted = false
   #databaseConfigurationEnded = false
   #databaseSchema = {
@@ -38,22 +115,39 @@ export default class Backinfront {
       indexes: {
         createdAt: 'createdAt'
       }
+    },
+    [this.#syncBaseStoreName]: {
+      keyPath: ['storeName', 'primaryKey'],
+      indexes: {}
     }
   }
 
   collectionCountKey = 'count'
   collectionDataKey = 'rows'
+  collectionNextKey = 'next'
   databaseName = ''
   stores = {}
   routes = {}
+  middlewares = []
   populateUrl = ''
   syncUrl = ''
+  syncBlobUrl = ''
+  syncBatchSize = 100
+  populateBatchSize = 1000
+  syncTag = 'backinfront:sync'
+  periodicSyncInterval = null
+  syncRetryDelay = 30000
+  syncMaxRetryDelay = 3600000
+  eventChannelName = 'backinfront'
   headers = () => {}
+  transport = createFetchTransport()
   getSession = () => null
   formatRouteSearchParam = (value) => value
   formatRoutePathParam = (value) => value
-  formatDataBeforeSave = (data) => JSON.parse(JSON.stringify(data)) // by default, easiest way to convert Date to json & clean an object
+  formatDataBeforeSave = (data) => toStorableData(data) // by default, convert Date to json & clean an object like JSON does, Blobs excepted
+  serializeError = serializeRouteError
   onRequest = () => null
+  onSyncReject = () => null
 
   /**
    * @constructor
@@ -61,16 +155,29 @@ export default class Backinfront {
    * @param {string} options.databaseName
    * @param {Array<object>} options.stores list of store's configurations
    * @param {Array<object>} options.router list of store's configurations
+   * @param {Array<function>} [options.middlewares] executed before the middlewares of every route
    * @param {string} options.populateUrl part of url corresponding to the populate endpoint
+   * @param {number} [options.populateBatchSize] maximum number of rows saved per populate transaction
    * @param {string} options.syncUrl part of url corresponding to the sync endpoint
+   * @param {string} [options.syncBlobUrl] part of url corresponding to the blob upload endpoint, required to sync stores containing Blobs
+   * @param {number} [options.syncBatchSize] maximum number of items uploaded per sync request
+   * @param {string} [options.syncTag] tag used to register the background sync & the periodic background sync
+   * @param {number} [options.periodicSyncInterval] minimum interval of the periodic background sync (in ms)
+   * @param {number} [options.syncRetryDelay] delay before the first retry of a failed background sync (in ms)
+   * @param {number} [options.syncMaxRetryDelay] maximum delay between 2 retries of a failed background sync (in ms)
+   * @param {string} [options.eventChannelName] name of the BroadcastChannel used to forward events to window clients
    * @param {function} [options.headers]
+   * @param {function} [options.transport] send a request to the server and resolve with a Response (default: fetch with timeout & retries)
    * @param {function} [options.collectionCountKey]
    * @param {function} [options.collectionDataKey]
+   * @param {function} [options.collectionNextKey]
    * @param {function} [options.getSession] must return an object with data available on every offline handled requests
    * @param {function} [options.formatDataBeforeSave] format data before insertion into indexeddb
    * @param {function} [options.formatRouteSearchParam] format Request's search params (example: transform comma separated string into array)
    * @param {function} [options.formatRoutePathParam] format Route's customs params
+   * @param {function} [options.serializeError] convert an error thrown by a route into a Response or a `{ status, headers, body }` description
    * @param {function} [options.onRequest]
+   * @param {function} [options.onSyncReject] called for each uploaded item rejected by the server
    */
   constructor (options = {}) {
     // Throw an error if user input does not match the spec
@@ -80,21 +187,41 @@ export default class Backinfront {
         type: ['object', {
           collectionCountKey: { type: 'string' },
           collectionDataKey: { type: 'string' },
+          collectionNextKey: { type: 'string' },
           databaseName: { type: 'string', required: true },
           stores: { type: 'array', required: true },
           routers: { type: 'array', required: true },
+          middlewares: { type: 'array' },
           syncUrl: { type: 'string', required: true },
+          syncBlobUrl: { type: 'string' },
+          syncBatchSize: { type: 'number' },
+          syncTag: { type: 'string' },
+          periodicSyncInterval: { type: 'number' },
+          syncRetryDelay: { type: 'number' },
+          syncMaxRetryDelay: { type: 'number' },
+          eventChannelName: { type: 'string' },
           populateUrl: { type: 'string', required: true },
+          populateBatchSize: { type: 'number' },
           headers: { type: 'function' },
+          transport: { type: 'function' },
           getSession: { type: 'function' },
           formatDataBeforeSave: { type: 'function' },
           formatRouteSearchParam: { type: 'function' },
           formatRoutePathParam: { type: 'function' },
-          onRequest: { type: 'function' }
+          serializeError: { type: 'function' },
+          onRequest: { type: 'function' },
+          onSyncReject: { type: 'function' }
         }]
       }
     })
 
+    // Batches hold at least one item, a size of 0 would never end the sync
+    for (const name of ['syncBatchSize', 'populateBatchSize']) {
+      if (has(options, name) && !(Number.isInteger(options[name]) && options[name] >= 1)) {
+        throw new CustomError(`Backinfront: \`${name}\` must be a positive integer`)
+      }
+    }
+
     mergeObject({
       source: options,
       target: this,
@@ -107,16 +234,32 @@ export default class Backinfront {
     // Handle routes
     self.addEventListener('fetch', (event) => {
       const request = event.request
-      const route = this.#findRouteFromRequest(request)
+      const route = this.routeFor(request)
 
       if (route) {
         // event.respondWith MUST be called synchronously with async processing inside
         // to prevent others handlers to trigger
         event.respondWith(
-          this.#getRouteResponse(route, request)
+          this.#respond(route, request, event)
         )
       }
     })
+
+    // Sync when the browser has network connectivity (fired again by the browser on failure)
+    self.addEventListener('sync', (event) => {
+      if (event.tag === this.syncTag) {
+        event.waitUntil(this.#runBackgroundSync())
+      }
+    })
+
+    // Sync periodically, even if no window is opened
+    self.addEventListener('periodicsync', (event) => {
+      if (event.tag === this.syncTag) {
+        event.waitUntil(this.#runBackgroundSync().catch(() => null))
+      }
+    })
+
+    this.#registerPeriodicSync()
   }
 
   /*****************************************************************
@@ -124,14 +267,155 @@ export default class Backinfront {
   *****************************************************************/
 
   /**
-   * Find a route in the global list
-   * @param {Request} request
-   * @return {object | undefined}
+   * Find the route matching a request in the global list
+   * @param {Request | string | URL} request - arguments of the Request constructor are accepted
+   * @param {object} [requestInit]
+   * @return {object | null}
    */
-  #findRouteFromRequest (request) {
+  routeFor (request, requestInit) {
+    if (!(request instanceof Request) || requestInit) {
+      request = new Request(request, requestInit)
+    }
+
     const url = new URL(request.url)
-    const routeLocation = this.routes[url.origin]?.[request.method]?.[url.pathname.match(/[^/]+/g).length]
-    return routeLocation?.find(route => route.regexp.test(`${url.origin}${url.pathname}`))
+    const routeLocation = this.routes[url.origin]?.[request.method]
+    return routeLocation?.find(route => route.regexp.test(`${url.origin}${url.pathname}`)) ?? null
+  }
+
+  /**
+   * Execute the route matching a request locally, without FetchEvent
+   * Useful to test the route handlers or to call them from a message handler
+   * @param {Request | string | URL} request - arguments of the Request constructor are accepted
+   * @param {object} [requestInit]
+   * @return {Promise<Response>}
+   */
+  async handle (request, requestInit) {
+    if (!(request instanceof Request) || requestInit) {
+      request = new Request(request, requestInit)
+    }
+
+    const route = this.routeFor(request)
+
+    if (!route) {
+      throw new CustomError(`handle: no route matches ${request.method} ${request.url}`)
+    }
+
+    return this.#getRouteResponse(route, request)
+  }
+
+  /**
+   * Extract the path params of an url
+   * @param {object} route
+   * @param {URL} url
+   * @return {object}
+   */
+  #getPathParams (route, url) {
+    const pathParams = {}
+    const matchs = `${url.origin}${url.pathname}`.match(route.regexp) // .match() return an Array or null
+    if (matchs) {
+      // Map route params, missing optional params are ignored
+      for (const pathParam of route.pathParams) {
+        const value = matchs.groups[pathParam]
+        if (value !== undefined) {
+          // Formatted by the route schema if any
+          pathParams[pathParam] = route.schema.pathParams
+            ? decodePathParam(value)
+            : this.formatRoutePathParam(decodePathParam(value))
+        }
+      }
+    }
+    return pathParams
+  }
+
+  /**
+   * Respond locally or online according to the route strategy
+   * @param {object} route
+   * @param {Request} request
+   * @param {FetchEvent} event
+   * @return {Promise<Response>}
+   */
+  async #respond (route, request, event) {
+    // Only a read can be answered twice
+    if (
+      route.strategy === 'network-first' ||
+      (route.strategy === 'stale-while-revalidate' && request.method !== 'GET')
+    ) {
+      try {
+        const networkResponse = await fetch(request.clone())
+
+        // Server errors fall back to the local response
+        if (networkResponse.status < 500) {
+          event.waitUntil(this.#writeBack(route, request, networkResponse.clone()))
+          return networkResponse
+        }
+      } catch {}
+    } else if (route.strategy === 'stale-while-revalidate') {
+      event.waitUntil(
+        fetch(request.clone())
+          .then(networkResponse => this.#writeBack(route, request, networkResponse))
+          .catch(() => null)
+      )
+    }
+
+    return this.#getRouteResponse(route, request)
+  }
+
+  /**
+   * Save the online response of a preset route into its store
+   * Items with local changes waiting for a sync are not overwritten
+   * @param {object} route
+   * @param {Request} request
+   * @param {Response} networkResponse
+   */
+  async #writeBack (route, request, networkResponse) {
+    if (!route.preset || !networkResponse.ok) {
+      return
+    }
+
+    const storeName = route.storeName
+    const { primaryKey: primaryKeyName } = this.stores[storeName]
+    const needsSyncBase = this.stores[storeName]._needsSyncBase()
+    const result = route.preset === 'delete'
+      ? null
+      : await networkResponse.json()
+
+    const transaction = await this._openTransaction([storeName, this.#syncQueueStoreName, this.#syncBaseStoreName], 'readwrite')
+    const store = await this._openStore(storeName, transaction)
+    const syncQueueStore = await this._openStore(this.#syncQueueStoreName, transaction)
+    const syncBaseStore = await this._openStore(this.#syncBaseStoreName, transaction)
+    this.stores[storeName]._clearIndexCache(transaction)
+
+    const pendingItems = new Set(
+      (await syncQueueStore.getAll())
+        .filter(item => item.storeName === storeName)
+        .map(({ primaryKey }) => JSON.stringify(primaryKey))
+    )
+
+    if (route.preset === 'delete') {
+      const { primaryKey } = this.#getPathParams(route, new URL(request.url))
+
+      if (!pendingItems.has(JSON.stringify(primaryKey))) {
+        await store.delete(primaryKey)
+        await syncBaseStore.delete([storeName, primaryKey])
+      }
+      return
+    }
+
+    const rows = route.preset === 'list'
+      ? (Array.isArray(result) ? result : result?.[this.collectionDataKey]) ?? []
+      : [result]
+
+    for (const row of rows) {
+      const primaryKey = row?.[primaryKeyName]
+
+      if (primaryKey !== undefined && !pendingItems.has(JSON.stringify(primaryKey))) {
+        await store.put(row)
+
+        if (needsSyncBase) {
+          await syncBaseStore.put({ storeName, primaryKey, data: row })
+        }
+      }
+    }
   }
 
   /**
@@ -144,8 +428,12 @@ export default class Backinfront {
     const ctx = {
       request,
       session: {},
+      // Data shared between middlewares & handler
+      state: {},
       searchParams: {},
       pathParams: {},
+      // Condition parsed from the query string, if the route declares a `query`
+      query: null,
       body: null,
       transaction: null
     }
@@ -153,38 +441,38 @@ export default class Backinfront {
     const url = new URL(request.url)
 
     // Add search params to the context
-    for (const [key, value] of url.searchParams.entries()) {
-      ctx.searchParams[key] = this.formatRouteSearchParam(value)
+    if (route.schema.searchParams) {
+      // Formatted by the route schema, repeated params become arrays
+      for (const key of new Set(url.searchParams.keys())) {
+        const values = url.searchParams.getAll(key)
+        ctx.searchParams[key] = values.length > 1 ? values : values[0]
+      }
+    } else {
+      for (const [key, value] of url.searchParams.entries()) {
+        ctx.searchParams[key] = this.formatRouteSearchParam(value)
+      }
     }
 
     // Find params
-    const matchs = `${url.origin}${url.pathname}`.match(route.regexp) // .match() return an Array or null
-    if (matchs) {
-      // Remove the first match (the url itself)
-      matchs.shift()
-      // Map route params
-      for (const [idx, value] of matchs.entries()) {
-        ctx.pathParams[route.pathParams[idx]] = this.formatRoutePathParam(value)
-      }
-    }
+    ctx.pathParams = this.#getPathParams(route, url)
 
     // Merge session with user data
     ctx.session = { ...ctx.session, ...this.getSession(request) }
 
-    if (['POST', 'PUT', 'PATCH'].includes(request.method)) {
-      ctx.body = await (request.clone()).json()
-    }
-
-    // Provide a global transaction
-    ctx.transaction = await this._openTransaction()
-
     // Try to execute the route action
     let routeHandlerResult
     let routeHandlerError
     let response
 
     try {
-      routeHandlerResult = await route.handler(ctx, this.stores)
+      if (['POST', 'PUT', 'PATCH'].includes(request.method)) {
+        ctx.body = await readRequestBody(request)
+      }
+
+      // Provide a global transaction
+      ctx.transaction = await this._openTransaction()
+
+      routeHandlerResult = await this.#runMiddlewares(route, ctx)
     } catch (error) {
       routeHandlerError = error
     }
@@ -193,15 +481,12 @@ export default class Backinfront {
       // Force the abortion
       // throw an error if the transaction has been completed prematurely
       try { ctx.transaction.abort() } catch {}
-      response = new Response(undefined, {
-        status: 500,
-        statustext: `Route handler error: ${routeHandlerError.message}`
-      })
+      response = this.#createResponse(this.serializeError(routeHandlerError, { route, request }))
     } else {
       // Force the commit
       // throw an error if the transaction has been completed prematurely
       try { ctx.transaction.commit() } catch {}
-      response = new Response(JSON.stringify(routeHandlerResult))
+      response = this.#createResponse(routeHandlerResult)
     }
 
     this.onRequest({ route, result: routeHandlerResult, error: routeHandlerError })
@@ -209,6 +494,97 @@ export default class Backinfront {
     return response
   }
 
+  /**
+   * Convert a route result into a Response
+   * @param {Response | object | any} result - a Response, a `{ status, headers, body }` description or the body
+   * @return {Response}
+   */
+  #createResponse (result) {
+    if (result instanceof Response) {
+      return result
+    }
+
+    const { status = 200, headers = {}, body } = isResponseDescription(result)
+      ? result
+      : { body: result }
+
+    // These statuses can't have a body
+    if (body === undefined || [204, 205, 304].includes(status)) {
+      return new Response(null, { status, headers })
+    }
+
+    // Stored files are sent as is
+    if (body instanceof Blob) {
+      return new Response(body, {
+        status,
+        headers: {
+          'content-type': body.type || 'application/octet-stream',
+          ...headers
+        }
+      })
+    }
+
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: {
+        'content-type': 'application/json',
+        ...headers
+      }
+    })
+  }
+
+  /**
+   * Execute the global, router & route middlewares then the route handler
+   * A middleware can return a result without calling `next` or change the result returned by `next`
+   * @param {object} route
+   * @param {object} ctx
+   * @return {Promise<any>}
+   */
+  async #runMiddlewares (route, ctx) {
+    const middlewares = [...this.middlewares, ...route.middlewares]
+
+    const dispatch = async (position) => {
+      if (position === middlewares.length) {
+        // Inputs are validated once the middlewares (authentication, ...) accepted the request
+        const validationErrors = this.#validateRouteInputs(route, ctx)
+
+        if (validationErrors.length) {
+          throw new ValidationError('Invalid request', validationErrors)
+        }
+
+        if (route.query) {
+          ctx.query = parseQueryString(new URL(ctx.request.url).searchParams, route.query)
+        }
+
+        return route.handler(ctx, this.stores)
+      }
+
+      return middlewares[position](ctx, () => dispatch(position + 1), this.stores)
+    }
+
+    return dispatch(0)
+  }
+
+  /**
+   * Validate & coerce the inputs declared in the route schema
+   * @param {object} route
+   * @param {object} ctx - inputs are replaced by their coerced value
+   * @return {Array<{ field: string, message: string }>}
+   */
+  #validateRouteInputs (route, ctx) {
+    const errors = []
+
+    for (const input of ['pathParams', 'searchParams', 'body']) {
+      if (route.schema[input]) {
+        const result = validateSchema(input, ctx[input], route.schema[input])
+        ctx[input] = result.value
+        errors.push(...result.errors)
+      }
+    }
+
+    return errors
+  }
+
   /*****************************************************************
   * Process stores & routers
   *****************************************************************/
@@ -261,16 +637,24 @@ export default class Backinfront {
 
     // Add routes to the list
     for (const route of router.routes) {
-      const target = getDeepValue(this.routes, [route.url.origin, route.method, route.length], [])
+      const target = getDeepValue(this.routes, [route.url.origin, route.method], [])
       // Add the route
       target.push(route)
-      // Reorder
-      target.sort((a, b) => b.specificity - a.specificity)
+      // Reorder, the most specific first
+      target.sort(compareRouteSpecificity)
     }
 
     return router
   }
 
+  /**
+   * Add a global middleware
+   * @param {function} middleware
+   */
+  use (middleware) {
+    this.middlewares.push(middleware)
+  }
+
   /**
    * Add a new operator to the query language
    * @param {string} operatorName
@@ -280,6 +664,55 @@ export default class Backinfront {
     QueryLanguage.addOperator(operatorName, operatorAction)
   }
 
+  /*****************************************************************
+  * Events
+  *****************************************************************/
+
+  /**
+   * Listen to an event
+   * @param {string} eventName
+   * @param {function} listener
+   * @return {function} remove the listener
+   */
+  on (eventName, listener) {
+    this.#eventListeners[eventName] ??= new Set()
+    this.#eventListeners[eventName].add(listener)
+    return () => this.off(eventName, listener)
+  }
+
+  /**
+   * Stop listening to an event
+   * @param {string} eventName
+   * @param {function} listener
+   */
+  off (eventName, listener) {
+    this.#eventListeners[eventName]?.delete(listener)
+  }
+
+  /**
+   * Notify the listeners and forward the event to window clients
+   * @param {string} eventName
+   * @param {object} [detail={}] must be cloneable to be posted
+   */
+  async #emit (eventName, detail = {}) {
+    for (const listener of this.#eventListeners[eventName] ?? []) {
+      try { listener(detail) } catch {}
+    }
+
+    const message = { event: eventName, detail }
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.#eventChannel ??= new BroadcastChannel(this.eventChannelName)
+      this.#eventChannel.postMessage(message)
+    } else {
+      // https://developer.mozilla.org/fr/docs/Web/API/Clients/matchAll
+      const windows = await self.clients.matchAll({ type: 'window' })
+      for (const window of windows) {
+        window.postMessage(message)
+      }
+    }
+  }
+
   /*****************************************************************
   * Indexeddb management
   *****************************************************************/
@@ -433,47 +866,44 @@ export default class Backinfront {
   *****************************************************************/
 
   /**
-   * Fetch online data
+   * Fetch online data with the transport
    * @param {object} options
    * @param {string} options.method
    * @param {string} options.url
    * @param {object} [options.searchParams]
    * @param {object} [options.body]
-   * @return {object}
+   * @return {Promise<Response>}
    */
-  async #fetch ({ method, url, searchParams, body }) {
+  async #fetchResponse ({ method, url, searchParams, body }) {
     // Get user defined headers
     const headers = await this.headers()
 
-    // Build request init
-    const requestInit = {
+    const response = await this.transport({
       method,
-      mode: 'cors',
-      headers: {
-        ...headers,
-        'content-type': 'application/json'
-      }
-    }
+      url,
+      searchParams,
+      headers,
+      body
+    })
 
-    // Set body
-    if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
-      requestInit.body = JSON.stringify(body)
+    // Custom transports may resolve with an error response
+    if (!response.ok) {
+      throw new HttpError(`fetch: Response status is ${response.status}`, {
+        status: response.status,
+        body: await parseBody(response)
+      })
     }
 
-    const requestUrl = `${url}${stringifySearchParams(searchParams)}`
-    const fetchRequest = new Request(requestUrl, requestInit)
-    let fetchResponse
-
-    try {
-      fetchResponse = await fetch(fetchRequest)
-
-      if (!fetchResponse.ok) {
-        throw new Error('Response status is not ok')
-      }
-    } catch (error) {
-      throw new CustomError(`fetch: ${error.message}`)
-    }
+    return response
+  }
 
+  /**
+   * Fetch online data as json
+   * @param {object} options - see #fetchResponse
+   * @return {Promise<object>}
+   */
+  async #fetch (options) {
+    const fetchResponse = await this.#fetchResponse(options)
     return fetchResponse.json()
   }
 
@@ -486,69 +916,315 @@ export default class Backinfront {
    * @param {object} options
    * @param {string} options.storeName
    * @param {string} options.primaryKey
+   * @param {'put' | 'patch' | 'delete'} [options.operation='put']
+   * @param {object} [options.data] - data recorded by a store in operation mode
+   * @param {Array<object>} [options.patch] - JSON Patch recorded by a store in operation mode
    * @param {IDBTransaction} transaction
    */
-  async _addToSyncQueue ({ storeName, primaryKey }, transaction) {
+  async #queueSyncItem ({ storeName, primaryKey, operation = 'put', data, patch }, transaction) {
     const store = await this._openStore(this.#syncQueueStoreName, transaction)
     await store.add({
       id: crypto.randomUUID(),
       createdAt: new Date().toJSON(),
+      // Order of the items created in the same millisecond
+      position: this.#syncQueuePosition++,
       storeName,
-      primaryKey
+      primaryKey,
+      operation,
+      ...(data === undefined ? {} : { data }),
+      ...(patch === undefined ? {} : { patch })
     })
   }
 
+  /**
+   * Count the local changes waiting for an upload
+   * @return {Promise<number>}
+   */
+  async #countPendingChanges () {
+    const syncQueueStore = await this._openStore(this.#syncQueueStoreName, 'readonly')
+    return syncQueueStore.count()
+  }
+
+  /**
+   * Add a local change to the sync queue and schedule its upload
+   * @param {object} options
+   * @param {string} options.storeName
+   * @param {string} options.primaryKey
+   * @param {'put' | 'patch' | 'delete'} [options.operation='put']
+   * @param {object} [options.data]
+   * @param {Array<object>} [options.patch]
+   * @param {IDBTransaction} transaction
+   */
+  async _addToSyncQueue (options, transaction) {
+    await this.#queueSyncItem(options, transaction)
+    this.#scheduleSync()
+
+    // Multiple changes in a row only trigger one notification
+    // The count waits for the end of the current transaction
+    clearTimeout(this.#pendingTimeoutId)
+    this.#pendingTimeoutId = setTimeout(async () => {
+      this.#emit('sync:pending', { pending: await this.#countPendingChanges() })
+    })
+  }
+
+  /**
+   * Schedule a sync after a local change
+   */
+  async #scheduleSync () {
+    // Let the browser trigger the sync as soon as the network is available
+    // even if every window has been closed
+    if (self.registration?.sync) {
+      try {
+        await self.registration.sync.register(this.syncTag)
+        return
+      } catch {}
+    }
+
+    // Background Sync is not supported, sync directly if online
+    // Multiple changes in a row only trigger one sync
+    if (navigator.onLine) {
+      clearTimeout(this.#syncTimeoutId)
+      this.#syncTimeoutId = setTimeout(() => {
+        this.#runBackgroundSync().catch(() => null)
+      }, Math.max(this.#syncRetryAt - Date.now(), 0))
+    }
+  }
+
+  /**
+   * Register the periodic background sync if enabled
+   * The browser may refuse it (permission, site engagement, ...)
+   */
+  async #registerPeriodicSync () {
+    if (this.periodicSyncInterval === null || !self.registration?.periodicSync) {
+      return
+    }
+
+    try {
+      await self.registration.periodicSync.register(this.syncTag, {
+        minInterval: this.periodicSyncInterval
+      })
+    } catch {}
+  }
+
+  /**
+   * Sync with an exponential backoff after failures
+   */
+  async #runBackgroundSync () {
+    if (Date.now() < this.#syncRetryAt) {
+      throw new CustomError('sync: postponed after a failure')
+    }
+
+    try {
+      await this.sync()
+      this.#syncFailures = 0
+      this.#syncRetryAt = 0
+    } catch (error) {
+      this.#syncFailures += 1
+      const delay = Math.min(this.syncRetryDelay * 2 ** (this.#syncFailures - 1), this.syncMaxRetryDelay)
+      this.#syncRetryAt = Date.now() + delay
+
+      // Retry while the service worker is alive
+      clearTimeout(this.#syncTimeoutId)
+      this.#syncTimeoutId = setTimeout(() => {
+        this.#runBackgroundSync().catch(() => null)
+      }, delay)
+
+      throw error
+    }
+  }
+
   /**
    * Fill the database with initial data
+   * Rows are saved by batches and the progress is saved with each batch
+   * so a populate interrupted by the end of the service worker resumes where it stopped
    * @param {Array<string>} stores
    */
   async populate (stores = []) {
     // Process filter options
     const storeNames = Object.keys(this.stores).filter(storeName => stores.includes(storeName))
+    const progressKey = `populateProgress:${storeNames.join(',')}`
+
+    const metadataStore = await this._openStore(this.#metadataStoreName, 'readonly')
+    const populateProgress = (await metadataStore.get(progressKey)) ?? {
+      offset: 0,
+      received: {},
+      cursors: {}
+    }
+
+    this.#emit('populate:start', { storeNames, offset: populateProgress.offset })
+
+    try {
+      const fetchResponse = await this.#fetchResponse({
+        method: 'GET',
+        url: this.populateUrl,
+        searchParams: {
+          storeNames,
+          // Number of rows already saved
+          offset: populateProgress.offset || undefined
+        }
+      })
+
+      let rows = []
+
+      for await (const row of this.#readPopulateResponse(fetchResponse)) {
+        // Cursor of the store data sent by the server
+        if (has(row, 'cursor')) {
+          populateProgress.cursors[row.storeName] = row.cursor
+          continue
+        }
+
+        rows.push(row)
 
-    const response = await this.#fetch({
-      method: 'GET',
-      url: this.populateUrl,
-      searchParams: {
-        storeNames
+        if (rows.length >= this.populateBatchSize) {
+          await this.#populateBatch(rows, populateProgress, progressKey)
+          this.#emit('populate:progress', { storeNames, ...populateProgress })
+          rows = []
+        }
       }
-    })
+
+      await this.#populateBatch(rows, populateProgress, progressKey)
+
+      // The populate is complete, the next syncs start from the cursors of the populated stores
+      const transaction = await this._openTransaction([this.#metadataStoreName], 'readwrite')
+      const progressStore = await this._openStore(this.#metadataStoreName, transaction)
+      const syncCursors = (await progressStore.get('syncCursors')) ?? {}
+      await progressStore.put({ ...syncCursors, ...populateProgress.cursors }, 'syncCursors')
+      await progressStore.delete(progressKey)
+
+      this.#emit('populate:end', { storeNames, received: populateProgress.received })
+    } catch (error) {
+      this.#emit('populate:error', { storeNames, message: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Read the rows of the populate response one by one
+   * NDJSON responses are streamed: one `{ storeName, data }` or `{ storeName, cursor }` object per line
+   * JSON responses are parsed at once: `{ [storeName]: Array<object> | { rows: Array<object>, cursor: string } }`
+   * @param {Response} fetchResponse
+   * @return {AsyncGenerator<object>}
+   */
+  async * #readPopulateResponse (fetchResponse) {
+    if (!fetchResponse.headers.get('content-type')?.includes('application/x-ndjson')) {
+      for (const [storeName, storeResponse] of Object.entries(await fetchResponse.json())) {
+        const rows = Array.isArray(storeResponse) ? storeResponse : storeResponse.rows
+
+        for (const data of rows) {
+          yield { storeName, data }
+        }
+
+        if (storeResponse.cursor !== undefined) {
+          yield { storeName, cursor: storeResponse.cursor }
+        }
+      }
+      return
+    }
+
+    const reader = fetchResponse.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+
+    while (true) {
+      const { done, value } = await reader.read()
+
+      if (done) {
+        break
+      }
+
+      // The last line may be incomplete
+      buffer += value
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+
+      for (const line of lines) {
+        if (line.trim()) {
+          yield JSON.parse(line)
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      yield JSON.parse(buffer)
+    }
+  }
+
+  /**
+   * Save a batch of populated rows with the progress in a single transaction
+   * @param {Array<object>} rows - list of `{ storeName, data }`
+   * @param {object} populateProgress - updated with the saved rows
+   * @param {string} progressKey
+   */
+  async #populateBatch (rows, populateProgress, progressKey) {
+    if (!rows.length) {
+      return
+    }
+
+    const storeNames = [...new Set(rows.map(({ storeName }) => storeName))]
+    const transaction = await this._openTransaction([...storeNames, this.#metadataStoreName, this.#syncBaseStoreName], 'readwrite')
+    const metadataStore = await this._openStore(this.#metadataStoreName, transaction)
+    const syncBaseStore = await this._openStore(this.#syncBaseStoreName, transaction)
 
     await Promise.all(
-      Object.entries(response).map(async ([storeName, rows]) => {
-        // Here we use one transaction per store instead of a global one
-        // because high number of inserts on the same transaction can be slow
-        const store = await this._openStore(storeName, 'readwrite')
+      rows.map(async ({ storeName, data }) => {
+        const store = await this._openStore(storeName, transaction)
+        this.stores[storeName]._clearIndexCache(transaction)
+        const primaryKey = await store.put(data)
 
-        return Promise.all(
-          rows.map(element => store.put(element))
-        )
+        if (this.stores[storeName]._needsSyncBase()) {
+          await syncBaseStore.put({ storeName, primaryKey, data })
+        }
+
+        populateProgress.received[storeName] = (populateProgress.received[storeName] ?? 0) + 1
       })
     )
+
+    populateProgress.offset += rows.length
+    await metadataStore.put(populateProgress, progressKey)
   }
 
   /**
    * Sync the database
+   * A sync requested during a sync waits for it, then the changes queued meanwhile are uploaded by another pass
+   * @return {Promise<void>}
    */
   async sync () {
-    if (this.#syncInProgress) {
-      return
+    if (this.#syncPromise) {
+      this.#syncRequested = true
+      return this.#syncPromise
     }
 
-    try {
-      this.#syncInProgress = true
+    this.#syncPromise = (async () => {
+      try {
+        do {
+          this.#syncRequested = false
+          await this.#syncPass()
+        } while (this.#syncRequested && await this.#countPendingChanges() > 0)
+      } finally {
+        // Released right after the last check: a later request starts a new sync
+        this.#syncPromise = null
+      }
+    })()
+
+    return this.#syncPromise
+  }
 
+  /**
+   * Sync pass
+   * Local changes are uploaded by batches and server changes are downloaded by pages,
+   * the progress is saved after each request so an interrupted sync resumes where it stopped
+   */
+  async #syncPass () {
+    try {
       // Start a new transaction
       let transaction = await this._openTransaction([this.#metadataStoreName, this.#syncQueueStoreName], 'readonly')
       let metadataStore = await this._openStore(this.#metadataStoreName, transaction)
       let syncQueueStore = await this._openStore(this.#syncQueueStoreName, transaction)
 
-      // Init lastChangeAt
-      let currentLastChangeAt = await metadataStore.get('lastChangeAt')
-      let nextLastChangeAt = null
-
-      if (!currentLastChangeAt) {
-        nextLastChangeAt = currentLastChangeAt = new Date()
+      // Init the cursors issued by the server for each store & resume the download of an interrupted sync
+      const syncCursors = (await metadataStore.get('syncCursors')) ?? {}
+      const syncProgress = (await metadataStore.get('syncProgress')) ?? {
+        cursor: null,
+        cursors: {}
       }
 
       // Retrieve local data to sync
@@ -558,56 +1234,286 @@ export default class Backinfront {
         syncQueueItems.push(cursor.value)
         cursor = await cursor.continue()
       }
+      // Most recent first, including items created in the same millisecond
+      syncQueueItems.sort((item, other) => compareSyncQueueItems(other, item))
+
+      // Keep track of every queued item of an entry to remove them once uploaded
+      const syncQueueIds = new Map()
+      for (const { id, storeName, primaryKey } of syncQueueItems) {
+        const key = JSON.stringify([storeName, primaryKey])
+        syncQueueIds.set(key, [...(syncQueueIds.get(key) ?? []), id])
+      }
+
+      const isOperationItem = ({ storeName }) => this.stores[storeName]?.syncMode === 'operation'
 
-      // Deduplicate & retrieve fresh data
-      const clientData = await Promise.all(
-        deduplicateArray(syncQueueItems, ['storeName', 'primaryKey']).map(async ({ createdAt, storeName, primaryKey }) => ({
+      const syncQueueEntries = [
+        // Snapshot mode: deduplicate
+        // Items are ordered from the most recent so only the last operation is kept
+        // Items queued before the operation was stored are always a put
+        ...deduplicateArray(syncQueueItems.filter(item => !isOperationItem(item)), ['storeName', 'primaryKey']).map(({ id, createdAt, position, storeName, primaryKey, operation = 'put' }) => ({
+          id,
+          createdAt,
+          position,
+          storeName,
+          primaryKey,
+          operation,
+          ids: syncQueueIds.get(JSON.stringify([storeName, primaryKey]))
+        })),
+        // Operation mode: every operation is uploaded with its recorded data or patch
+        ...syncQueueItems.filter(isOperationItem).map(({ id, createdAt, position, storeName, primaryKey, operation, data, patch }) => ({
+          id,
           createdAt,
+          position,
           storeName,
           primaryKey,
-          data: await this.stores[storeName].findOne(primaryKey, transaction)
+          operation,
+          data,
+          patch,
+          ids: [id]
         }))
-      )
+      ].sort(compareSyncQueueItems)
 
-      // Sync local data with the server
-      const serverData = await this.#fetch({
-        method: 'POST',
-        url: this.syncUrl,
-        searchParams: {
-          lastChangeAt: currentLastChangeAt
-        },
-        body: clientData
-      })
+      // Split the upload
+      const batches = []
+      for (let position = 0; position < syncQueueEntries.length; position += this.syncBatchSize) {
+        batches.push(syncQueueEntries.slice(position, position + this.syncBatchSize))
+      }
+
+      // Number of rows by store
+      const uploaded = {}
+      const received = {}
+
+      this.#emit('sync:start', { pending: syncQueueEntries.length })
+
+      // Items uploaded during this sync still have local changes for the conflict resolution
+      const uploadedItems = new Set()
+      let batchIndex = 0
+      let hasMore = true
+
+      // Send requests until every batch is uploaded and every page is downloaded
+      while (batchIndex < batches.length || hasMore) {
+        const batch = batches[batchIndex] ?? []
+        batchIndex += 1
+
+        // Retrieve fresh data (snapshot mode) or recorded data (operation mode)
+        transaction = await this._openTransaction(null, 'readonly')
+        const clientData = await Promise.all(
+          batch.map(async (entry) => {
+            const { id, createdAt, storeName, primaryKey, operation } = entry
+
+            if (isOperationItem(entry)) {
+              return {
+                id,
+                createdAt,
+                storeName,
+                primaryKey,
+                operation,
+                data: entry.data ?? null,
+                ...(operation === 'patch' ? { patch: entry.patch } : {})
+              }
+            }
+
+            return {
+              id,
+              createdAt,
+              storeName,
+              primaryKey,
+              operation,
+              data: operation === 'delete'
+                ? null
+                : await this.stores[storeName].findOne(primaryKey, transaction)
+            }
+          })
+        )
 
-      // Refresh the transaction (the previous one has been terminated because of fetch)
-      transaction = await this._openTransaction()
-      metadataStore = await this._openStore(this.#metadataStoreName, transaction)
-      syncQueueStore = await this._openStore(this.#syncQueueStoreName, transaction)
+        // Upload Blobs separately, the items reference them by path: `{ $blob: '/data/file', type, size }`
+        const serializedClientData = []
+        for (const item of clientData) {
+          const { value, blobs } = extractBlobs(item)
+          serializedClientData.push(value)
 
-      // Sync server data locally
-      for (const { createdAt, storeName, data } of serverData) {
-        const store = await this._openStore(storeName, transaction)
-        await store.put(data)
+          if (blobs.length && !this.syncBlobUrl) {
+            throw new CustomError(`sync: syncBlobUrl is required to upload the Blobs of the store "${item.storeName}"`)
+          }
 
-        const createdDate = new Date(createdAt)
-        if (!nextLastChangeAt || isAfterDate(createdDate, nextLastChangeAt)) {
-          nextLastChangeAt = createdDate
+          for (const { path, blob } of blobs) {
+            await this.#fetchResponse({
+              method: 'PUT',
+              url: this.syncBlobUrl,
+              searchParams: {
+                id: item.id,
+                storeName: item.storeName,
+                primaryKey: item.primaryKey,
+                path
+              },
+              body: blob
+            })
+          }
         }
-      }
 
-      // Save the last sync date
-      if (nextLastChangeAt) {
-        await metadataStore.put('lastChangeAt', nextLastChangeAt.toJSON())
-      }
+        // Sync local data with the server
+        const response = await this.#fetch({
+          method: 'POST',
+          url: this.syncUrl,
+          searchParams: {
+            cursor: syncProgress.cursor ?? undefined
+          },
+          body: {
+            // A store without cursor has not been populated yet
+            cursors: Object.fromEntries(Object.keys(this.stores).map(storeName => [storeName, syncCursors[storeName] ?? null])),
+            items: serializedClientData
+          }
+        })
+
+        // A server without pagination returns the whole list and acknowledges every uploaded item
+        const serverPage = Array.isArray(response)
+          ? { items: response, hasMore: false, cursor: null, acknowledged: clientData.map(({ id }) => id) }
+          : response
+        hasMore = serverPage.hasMore ?? false
+
+        // Uploaded items processed by the server
+        const acknowledgedIds = new Set(serverPage.acknowledged ?? [])
+        const rejectedReasons = new Map((serverPage.rejected ?? []).map(({ id, reason }) => [id, reason]))
+
+        // Refresh the transaction (the previous one has been terminated because of fetch)
+        transaction = await this._openTransaction()
+        metadataStore = await this._openStore(this.#metadataStoreName, transaction)
+        syncQueueStore = await this._openStore(this.#syncQueueStoreName, transaction)
+        const syncBaseStore = await this._openStore(this.#syncBaseStoreName, transaction)
+
+        // The server knows the acknowledged data
+        for (const { id, storeName, primaryKey, operation, data, patch } of clientData) {
+          uploadedItems.add(JSON.stringify([storeName, primaryKey]))
+
+          if (acknowledgedIds.has(id)) {
+            uploaded[storeName] = (uploaded[storeName] ?? 0) + 1
+          }
 
-      // Clear the queue if not empty
-      if (clientData.length) {
-        await syncQueueStore.clear()
+          if (acknowledgedIds.has(id) && this.stores[storeName]._needsSyncBase()) {
+            if (operation === 'delete') {
+              await syncBaseStore.delete([storeName, primaryKey])
+            } else if (operation === 'patch') {
+              const syncBase = await syncBaseStore.get([storeName, primaryKey])
+              if (syncBase) {
+                await syncBaseStore.put({ storeName, primaryKey, data: applyPatch(syncBase.data, patch) })
+              }
+            } else {
+              await syncBaseStore.put({ storeName, primaryKey, data })
+            }
+          }
+        }
+
+        // Items with local changes: uploaded ones and the ones still in the queue
+        const pendingItems = new Set([
+          ...uploadedItems,
+          ...(await syncQueueStore.getAll()).map(({ storeName, primaryKey }) => JSON.stringify([storeName, primaryKey]))
+        ])
+        // Items to upload again because the conflict resolution kept local changes
+        const conflictedItems = []
+
+        // Sync server data locally
+        for (const { storeName, primaryKey, operation = 'put', data } of serverPage.items) {
+          const store = await this._openStore(storeName, transaction)
+          const serverItem = operation === 'delete' ? null : data
+          received[storeName] = (received[storeName] ?? 0) + 1
+          let resolvedData = serverItem
+
+          if (pendingItems.has(JSON.stringify([storeName, primaryKey]))) {
+            const localData = (await store.get(primaryKey)) ?? null
+
+            resolvedData = await this.stores[storeName]._resolveConflict({
+              primaryKey,
+              localData,
+              serverData: serverItem,
+              baseData: (await syncBaseStore.get([storeName, primaryKey]))?.data ?? null
+            })
+
+            if (!isSameValue(resolvedData, serverItem)) {
+              conflictedItems.push({
+                storeName,
+                primaryKey,
+                operation: resolvedData === null ? 'delete' : 'put',
+                // A store in operation mode uploads the recorded data
+                data: resolvedData !== null && isOperationItem({ storeName }) ? resolvedData : undefined
+              })
+            }
+          }
+
+          this.stores[storeName]._clearIndexCache(transaction)
+
+          if (resolvedData === null) {
+            await store.delete(primaryKey)
+          } else {
+            await store.put(resolvedData)
+          }
+
+          if (this.stores[storeName]._needsSyncBase()) {
+            if (serverItem === null) {
+              await syncBaseStore.delete([storeName, primaryKey])
+            } else {
+              await syncBaseStore.put({ storeName, primaryKey, data: serverItem })
+            }
+          }
+        }
+
+        // Cursors are committed once the download is complete
+        Object.assign(syncProgress.cursors, serverPage.cursors)
+
+        // Remove the processed items from the queue
+        // Items queued after the snapshot and items ignored by the server stay in the queue
+        for (const { id, ids } of batch) {
+          if (acknowledgedIds.has(id) || rejectedReasons.has(id)) {
+            for (const queuedId of ids) {
+              await syncQueueStore.delete(queuedId)
+            }
+          }
+        }
+
+        // Notify the rejected items
+        for (const clientItem of clientData) {
+          if (rejectedReasons.has(clientItem.id)) {
+            this.onSyncReject({ ...clientItem, reason: rejectedReasons.get(clientItem.id) })
+          }
+        }
+
+        // Upload the resolved items on the next sync
+        for (const conflictedItem of conflictedItems) {
+          await this.#queueSyncItem(conflictedItem, transaction)
+        }
+
+        // Save the progress
+        if (hasMore) {
+          syncProgress.cursor = serverPage.cursor
+          await metadataStore.put(syncProgress, 'syncProgress')
+        } else {
+          // The download is complete, the next requests only ask for newer changes
+          Object.assign(syncCursors, syncProgress.cursors)
+          await metadataStore.put(syncCursors, 'syncCursors')
+          syncProgress.cursor = null
+          syncProgress.cursors = {}
+          await metadataStore.delete('syncProgress')
+        }
+
+        this.#emit('sync:progress', {
+          batch: Math.min(batchIndex, batches.length),
+          batches: batches.length,
+          hasMore,
+          uploaded,
+          received
+        })
       }
+
+      this.#emit('sync:end', {
+        uploaded,
+        received,
+        pending: await this.#countPendingChanges()
+      })
     } catch (error) {
+      this.#emit('sync:error', {
+        message: error.message,
+        pending: await this.#countPendingChanges().catch(() => null)
+      })
       throw error
-    } finally {
-      this.#syncInProgress = false
     }
   }
 }
@@ -0,0 +1,13 @@
+import RouteError from './RouteError.js'
+
+
+export default class ConflictError extends RouteError {
+  /**
+   * 409: resource already existing or modified concurrently
+   * @param {string} [message='Conflict']
+   * @param {any} [details=null]
+   */
+  constructor (message = 'Conflict', details = null) {
+    super(message, { status: 409, code: 'CONFLICT', details })
+  }
+}
@@ -0,0 +1,13 @@
+import RouteError from './RouteError.js'
+
+
+export default class ForbiddenError extends RouteError {
+  /**
+   * 403: action not allowed for the session
+   * @param {string} [message='Forbidden']
+   * @param {any} [details=null]
+   */
+  constructor (message = 'Forbidden', details = null) {
+    super(message, { status: 403, code: 'FORBIDDEN', details })
+  }
+}
@@ -0,0 +1,19 @@
+import CustomError from './CustomError.js'
+
+
+export default class HttpError extends CustomError {
+  status
+  body
+
+  /**
+   * @param {string} message
+   * @param {object} options
+   * @param {number} options.status - status of the response
+   * @param {any} [options.body=null] - parsed body of the response
+   */
+  constructor (message, { status, body = null }) {
+    super(message)
+    this.status = status
+    this.body = body
+  }
+}
@@ -0,0 +1,13 @@
+import RouteError from './RouteError.js'
+
+
+export default class NotFoundError extends RouteError {
+  /**
+   * 404: missing resource
+   * @param {string} [message='Not found']
+   * @param {any} [details=null]
+   */
+  constructor (message = 'Not found', details = null) {
+    super(message, { status: 404, code: 'NOT_FOUND', details })
+  }
+}
@@ -0,0 +1,26 @@
+import CustomError from './CustomError.js'
+
+
+export default class RouteError extends CustomError {
+  status
+  code
+  details
+  reason
+
+  /**
+   * Error thrown during a route handling, converted into a response by `serializeError`
+   * @param {string} message - sent to the client
+   * @param {object} [options]
+   * @param {number} [options.status=500] - status of the response
+   * @param {string} [options.code='INTERNAL_ERROR'] - identifier of the error for the client
+   * @param {any} [options.details=null] - additional data sent to the client
+   */
+  constructor (message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.details = details
+    // Message without the library prefix
+    this.reason = message
+  }
+}
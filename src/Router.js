@@ -1,26 +1,150 @@
-import { has, joinPaths, mergeObject, typecheck } from 'utililib'
+import { has, isArray, joinPaths, mergeObject, typecheck } from 'utililib'
+import CustomError from './CustomError.js'
+import NotFoundError from './NotFoundError.js'
 
 
+/**
+ * Build a find condition from the search params of a list request
+ * `limit`, `offset`, `order` (`field` or `field,DESC`) & `after` are reserved,
+ * params named like the primary key or an indexed field are equality filters, others are ignored (`_`, `$or`, ...)
+ * @param {object} searchParams
+ * @param {object} store
+ * @return {object}
+ */
+function searchParamsToCondition (searchParams, store) {
+  const { limit, offset, order, after, ...filters } = searchParams
+  const filterableFields = new Set([store.primaryKey, ...Object.values(store.indexes).flat()])
+
+  return {
+    // A list of values matches any of them
+    where: Object.fromEntries(
+      Object.entries(filters)
+        .filter(([key]) => filterableFields.has(key))
+        .map(([key, value]) => [key, isArray(value) ? { $in: value } : value])
+    ),
+    limit,
+    offset,
+    order: order && (isArray(order) ? order : order.split(',')),
+    // An empty token requests the first page
+    ...(after !== undefined ? { after: after || null } : {})
+  }
+}
+
+
+/**
+ * Escape a string to use it in a regular expression
+ * @param {string} value
+ * @return {string}
+ */
+function escapeRegExp (value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Parse a path pattern
+ * Segments can be static (`users`), params (`:id`), constrained params (`:id(\\d+)`),
+ * optional params (`:id?`) and trailing catch-alls (`:path*` or `*` available as `wildcard`, possibly empty)
+ * @param {string} pattern
+ * @return {{ source: string, pathParams: Array<string>, specificity: string }}
+ */
+function parsePathPattern (pattern) {
+  const segments = pattern.split('/').filter(segment => segment)
+  const pathParams = []
+  let source = ''
+  // A digit by segment, the higher the more specific (see compareRouteSpecificity)
+  let specificity = ''
+
+  for (const [position, segment] of segments.entries()) {
+    const param = segment === '*'
+      ? [null, 'wildcard', null, '*']
+      : segment.match(/^:([A-Za-z_$][\w$]*)(?:\((.+)\))?([?*])?$/)
+
+    if (!param) {
+      source += `/${escapeRegExp(segment)}`
+      specificity += '5'
+      continue
+    }
+
+    const [, name, constraint, modifier] = param
+    pathParams.push(name)
+
+    if (modifier === '*') {
+      if (position !== segments.length - 1) {
+        throw new CustomError(`Router: catch-all \`${segment}\` must be the last segment of \`${pattern}\``)
+      }
+      // Lazy to leave the trailing slash out, an empty catch-all is missing like an optional param
+      source += `(?:/(?<${name}>.+?))?`
+      specificity += '0'
+    } else if (modifier === '?') {
+      source += `(?:/(?<${name}>${constraint ?? '[^/]+'}))?`
+      specificity += '1'
+    } else {
+      source += `/(?<${name}>${constraint ?? '[^/]+'})`
+      specificity += constraint ? '4' : '3'
+    }
+  }
+
+  return { source, pathParams, specificity }
+}
+
+// Rank of a missing segment: a pattern without the segment is more specific than an optional param or a catch-all
+const MISSING_SEGMENT_SPECIFICITY = '2'
+
+/**
+ * Compare the specificity of 2 routes segment by segment, the most specific first
+ * `/users` is more specific than `/users/:id?`, `/items/:id` than `/items/:id/:tab?`
+ * @param {object} route
+ * @param {object} otherRoute
+ * @return {number}
+ */
+export function compareRouteSpecificity (route, otherRoute) {
+  const length = Math.max(route.specificity.length, otherRoute.specificity.length)
+  const specificity = route.specificity.padEnd(length, MISSING_SEGMENT_SPECIFICITY)
+  const otherSpecificity = otherRoute.specificity.padEnd(length, MISSING_SEGMENT_SPECIFICITY)
+
+  return otherSpecificity.localeCompare(specificity)
+}
+
+
+const ROUTES_STRATEGIES = ['local', 'network-first', 'stale-while-revalidate']
+
 const ROUTES_PRESETS = {
   create: (storeName) => ({
     method: 'POST',
     pathname: '/',
     handler: async ({ body, transaction }, stores) => {
-      return stores[storeName].create(body, transaction)
+      return {
+        status: 201,
+        body: await stores[storeName].create(body, transaction)
+      }
     }
   }),
   list: (storeName) => ({
     method: 'GET',
     pathname: '/',
-    handler: async ({ transaction }, stores) => {
-      return stores[storeName].findManyAndCount(null, transaction)
+    handler: async ({ searchParams, query, transaction }, stores) => {
+      // The query string grammar is used if the route declares its filterable fields
+      const condition = query ?? searchParamsToCondition(searchParams, stores[storeName])
+
+      // Keyset pagination: the rows & the token of the next page, without count
+      if (has(condition, 'after')) {
+        return stores[storeName].findPage(condition, transaction)
+      }
+
+      return stores[storeName].findManyAndCount(condition, transaction)
     }
   }),
   retrieve: (storeName) => ({
     method: 'GET',
     pathname: '/:primaryKey',
     handler: async ({ pathParams, transaction }, stores) => {
-      return stores[storeName].findOne(pathParams.primaryKey, transaction)
+      const item = await stores[storeName].findOne(pathParams.primaryKey, transaction)
+
+      if (!item) {
+        throw new NotFoundError(`${storeName} not found`)
+      }
+
+      return item
     }
   }),
   update: (storeName) => ({
@@ -29,18 +153,48 @@ const ROUTES_PRESETS = {
     handler: async ({ pathParams, body, transaction }, stores) => {
       return stores[storeName].update(pathParams.primaryKey, body, transaction)
     }
+  }),
+  patch: (storeName) => ({
+    method: 'PATCH',
+    pathname: '/:primaryKey',
+    handler: async ({ pathParams, body, transaction }, stores) => {
+      const store = stores[storeName]
+
+      if (!await store.findOne(pathParams.primaryKey, transaction)) {
+        throw new NotFoundError(`${storeName} not found`)
+      }
+
+      // Partial data, the primary key is taken from the url
+      return store.update(pathParams.primaryKey, { ...body, [store.primaryKey]: pathParams.primaryKey }, transaction)
+    }
+  }),
+  delete: (storeName) => ({
+    method: 'DELETE',
+    pathname: '/:primaryKey',
+    handler: async ({ pathParams, transaction }, stores) => {
+      // Deleting a missing item would still queue a deletion for the server
+      if (!await stores[storeName].findOne(pathParams.primaryKey, transaction)) {
+        throw new NotFoundError(`${storeName} not found`)
+      }
+
+      return stores[storeName].deleteOne(pathParams.primaryKey, transaction)
+    }
   })
 }
 
 
 export default class Router {
   baseUrl = ''
+  strategy = 'local'
+  middlewares = []
   routes = []
 
   /**
    * @param {object} options
    * @param {string} options.baseUrl
    * @param {string} options.storeName
+   * @param {'local' | 'network-first' | 'stale-while-revalidate'} [options.strategy] default strategy of the routes
+   * @param {Array<function>} [options.middlewares] executed before the middlewares of each route
    * @param {object} options.routes
    */
   constructor (options = {}) {
@@ -50,6 +204,8 @@ export default class Router {
         value: options,
         type: ['object', {
           baseUrl: { type: 'string', required: true },
+          strategy: { type: 'string' },
+          middlewares: { type: 'array' },
           routes: { type: 'array' }
         }]
       }
@@ -59,9 +215,12 @@ export default class Router {
       source: options,
       target: this,
       exceptions: {
-        routes: ({ value }) => this.#addRoutes(value)
+        routes: false
       }
     })
+
+    // Routes are added once the router is configured
+    this.#addRoutes(options.routes ?? [])
   }
 
   /**
@@ -75,7 +234,17 @@ export default class Router {
         has(route, 'presets')
       ) {
         for (const preset of route.presets) {
-          this.#addRoute(ROUTES_PRESETS[preset](route.storeName))
+          this.#addRoute({
+            ...ROUTES_PRESETS[preset](route.storeName),
+            middlewares: route.middlewares,
+            strategy: route.strategy,
+            // Schemas are declared per preset: { list: { searchParams }, create: { body }, ... }
+            schema: route.schema?.[preset],
+            query: preset === 'list' ? route.query : undefined,
+            // Online responses are saved in the store
+            storeName: route.storeName,
+            preset
+          })
         }
       } else {
         this.#addRoute(route)
@@ -89,27 +258,58 @@ export default class Router {
    * @param {string} options.method
    * @param {string} options.pathname
    * @param {function} options.handler
+   * @param {Array<function>} [options.middlewares]
+   * @param {'local' | 'network-first' | 'stale-while-revalidate'} [options.strategy]
+   * @param {object} [options.schema] - specs of the body, searchParams & pathParams properties (typecheck format)
+   * @param {object} [options.query] - filterable & sortable fields of the query string grammar
+   * @param {string} [options.storeName] - preset routes only
+   * @param {string} [options.preset] - preset routes only
    */
-  #addRoute ({ method, pathname, handler }) {
+  #addRoute ({ method, pathname, handler, middlewares = [], strategy = this.strategy, schema = {}, query = null, storeName = null, preset = null }) {
+    if (!ROUTES_STRATEGIES.includes(strategy)) {
+      throw new CustomError(`Router: unknown strategy \`${strategy}\``)
+    }
+
+    typecheck({
+      schema: {
+        value: schema,
+        type: ['object', {
+          body: { type: 'object' },
+          searchParams: { type: 'object' },
+          pathParams: { type: 'object' }
+        }]
+      },
+      query: {
+        value: query ?? undefined,
+        type: ['object', {
+          filterable: { type: ['array', 'object'], required: true },
+          sortable: { type: 'array' },
+          maxLimit: { type: 'number' }
+        }]
+      }
+    })
+
     const url = new URL(joinPaths(this.baseUrl, pathname, '/')) // /!\ force a trailing slash /!\
-    // Extract path params from url
-    const pathParams = (url.pathname.match(/:[^/]+/g) ?? []).map(tag => tag.replace(':', ''))
-    // replace user defined path params with regex expression
-    const regexp = new RegExp(`^${url.origin}${url.pathname.replace(/:[^/]+/g, '([a-zA-Z0-9-]+)')}?$`) // /!\ the ? ignore the trailing slash /!\
-    // Specificity is a code
-    const parts = url.pathname.match(/[^/]+/g)
-    const specificity = `1${parts.map(part => part.startsWith(':') ? '0' : '1').join('')}`
-    const length = parts.length
+    // The pattern is parsed before the URL normalization (which would alter the constraints)
+    const baseUrl = new URL(this.baseUrl)
+    const { source, pathParams, specificity } = parsePathPattern(joinPaths(baseUrl.pathname, pathname))
+    const regexp = new RegExp(`^${escapeRegExp(baseUrl.origin)}${source}/?$`) // /!\ ignore the trailing slash /!\
 
     this.routes.push({
       method: method.toUpperCase(),
       url,
       pathParams,
       handler,
+      // Router's middlewares first
+      middlewares: [...this.middlewares, ...middlewares],
+      strategy,
+      schema,
+      query,
+      storeName,
+      preset,
       // Params used for filtering
       regexp,
-      specificity,
-      length
+      specificity
     })
   }
 }
@@ -1,13 +1,86 @@
-import { has, arrayToMap, isArray, isObject, mergeObject, typecheck } from 'utililib'
+import { has, arrayToMap, isArray, isFunction, isObject, isString, mergeObject, typecheck } from 'utililib'
 import QueryLanguage from './QueryLanguage.js'
+import ConflictError from './ConflictError.js'
 import CustomError from './CustomError.js'
+import { createAggregation, isRowCount } from './services/aggregate.js'
+import { isSameValue } from './services/equality.js'
+import { toJsonPointer } from './services/jsonPatch.js'
+import { decodePageToken, encodePageToken } from './services/pageToken.js'
+import { compareOrderValues, getIndexesToCheck, getKeyPathValue, getOrderValues, isValidKey, planQuery } from './services/queryPlanner.js'
+import { RELATION_TYPES, groupInclude, toKeyId } from './services/relations.js'
+
+
+/**
+ * Field level three-way merge
+ * A field changed on one side only keeps the change, the server wins when both sides changed
+ * @param {object} baseData
+ * @param {object} localData
+ * @param {object} serverData
+ * @return {object}
+ */
+function mergeThreeWay (baseData, localData, serverData) {
+  const mergedData = {}
+
+  for (const key of new Set([...Object.keys(localData), ...Object.keys(serverData)])) {
+    const baseValue = baseData?.[key]
+    const localValue = localData[key]
+    const serverValue = serverData[key]
+
+    if (isObject(localValue) && isObject(serverValue)) {
+      mergedData[key] = mergeThreeWay(isObject(baseValue) ? baseValue : {}, localValue, serverValue)
+    } else if (isSameValue(localValue, baseValue)) {
+      mergedData[key] = serverValue
+    } else if (isSameValue(serverValue, baseValue)) {
+      mergedData[key] = localValue
+    } else {
+      mergedData[key] = serverValue
+    }
+
+    // A field removed on one side
+    if (mergedData[key] === undefined) {
+      delete mergedData[key]
+    }
+  }
+
+  return mergedData
+}
+
+const CONFLICT_STRATEGIES = {
+  'server-wins': ({ serverData }) => serverData,
+  'client-wins': ({ localData }) => localData,
+  'last-write-wins': ({ localData, serverData }) => {
+    // A deletion has no date, the server wins
+    if (!localData || !serverData) {
+      return serverData
+    }
+
+    return new Date(localData.updatedAt) > new Date(serverData.updatedAt)
+      ? localData
+      : serverData
+  },
+  'merge': ({ baseData, localData, serverData }) => {
+    if (!localData || !serverData) {
+      return serverData
+    }
+
+    return mergeThreeWay(baseData, localData, serverData)
+  }
+}
 
 
 export default class Store {
   #backinfront
+  // Indexes containing every row or not, known until the next write
+  #completeIndexes = new Map()
+  // Transactions clearing #completeIndexes when they end
+  #writeTransactions = new WeakSet()
   storeName
   primaryKey
+  /** @type {{ [indexName: string]: string | Array<string> }} */
   indexes = {}
+  relations = {}
+  resolveConflict = 'server-wins'
+  syncMode = 'snapshot'
   beforeCreate = (data) => null
 
   /**
@@ -22,11 +95,43 @@ export default class Store {
           storeName: { type: 'string', required: true },
           primaryKey: { type: 'string', required: true },
           indexes: { type: 'object' },
+          relations: { type: 'object' },
+          resolveConflict: { type: ['string', 'function'] },
+          syncMode: { type: 'string' },
           beforeCreate: { type: 'function' }
         }]
       }
     })
 
+    if (isString(options.resolveConflict) && !has(CONFLICT_STRATEGIES, options.resolveConflict)) {
+      throw new CustomError(`Store: unknown conflict strategy \`${options.resolveConflict}\``)
+    }
+    if (has(options, 'syncMode') && !['snapshot', 'operation'].includes(options.syncMode)) {
+      throw new CustomError(`Store: unknown sync mode \`${options.syncMode}\``)
+    }
+
+    for (const [relationName, relation] of Object.entries(options.relations ?? {})) {
+      typecheck({
+        [relationName]: {
+          value: relation,
+          type: ['object', {
+            type: { type: 'string', required: true },
+            storeName: { type: 'string', required: true },
+            foreignKey: { type: 'string', required: true },
+            through: { type: 'string' },
+            otherKey: { type: 'string' }
+          }]
+        }
+      })
+
+      if (!RELATION_TYPES.includes(relation.type)) {
+        throw new CustomError(`Store: unknown relation type \`${relation.type}\``)
+      }
+      if (relation.type === 'manyToMany' && !(relation.through && relation.otherKey)) {
+        throw new CustomError(`Store: the manyToMany relation \`${relationName}\` requires \`through\` & \`otherKey\``)
+      }
+    }
+
     this.#backinfront = backinfront
     mergeObject({
       source: options,
@@ -62,9 +167,11 @@ export default class Store {
    * Compare object properties recusively and return a new object
    * @param {object} currentData
    * @param {object} newData
+   * @param {Array<object>} [patch=null] - if provided, changes are recorded as JSON Patch operations
+   * @param {Array<string>} [path=[]] - path of the compared object in the root object
    * @return {object}
    */
-  #updateObject (currentData, newData) {
+  #updateObject (currentData, newData, patch = null, path = []) {
     const updatedData = {}
 
     // Update existing keys
@@ -76,7 +183,7 @@ export default class Store {
         updatedData[key] = currentValue
       // Recursively update object
       } else if (isObject(currentValue) && isObject(newValue)) {
-        updatedData[key] = this.#updateObject(currentValue, newValue)
+        updatedData[key] = this.#updateObject(currentValue, newValue, patch, [...path, key])
       // Array
       } else if (isArray(currentValue) && isArray(newValue)) {
         updatedData[key] = this.#updateArray(currentValue, newValue)
@@ -84,6 +191,15 @@ export default class Store {
       } else {
         updatedData[key] = newValue
       }
+
+      // Record the changed value, nested objects record their own changes & arrays are replaced as a whole
+      if (
+        patch &&
+        !(isObject(currentValue) && isObject(updatedData[key])) &&
+        !isSameValue(updatedData[key], currentValue)
+      ) {
+        patch.push({ op: 'replace', path: toJsonPointer([...path, key]), value: updatedData[key] })
+      }
     }
 
     // Add non existing keys
@@ -93,12 +209,433 @@ export default class Store {
 
       if (currentValue === undefined) {
         updatedData[key] = newValue
+        patch?.push({ op: 'add', path: toJsonPointer([...path, key]), value: newValue })
       }
     }
 
     return updatedData
   }
 
+  /*****************************************************************
+  * Query
+  *****************************************************************/
+
+  /**
+   * Plan a find condition on the indexes of the store
+   * @param {IDBObjectStore} store
+   * @param {object} condition
+   * @return {Promise<object>} see planQuery
+   */
+  async #planQuery (store, condition) {
+    const options = {
+      primaryKey: this.primaryKey,
+      indexes: this.indexes,
+      where: condition.where,
+      order: condition.order
+    }
+
+    // Rows without a valid key are missing from an index, some plans require a complete index
+    // The indexes are counted once, until the next write
+    let total = null
+
+    for (const indexName of getIndexesToCheck(options)) {
+      if (!this.#completeIndexes.has(indexName)) {
+        total ??= await store.count()
+        this.#completeIndexes.set(indexName, await store.index(indexName).count() === total)
+      }
+    }
+
+    const completeIndexNames = [...this.#completeIndexes.keys()].filter(indexName => this.#completeIndexes.get(indexName))
+
+    return planQuery({ ...options, completeIndexNames })
+  }
+
+  /**
+   * Read the rows matching a query plan
+   * @param {IDBObjectStore} store
+   * @param {object} plan - see planQuery
+   * @param {object} [options]
+   * @param {object} [options.after=null] - position `{ key, primaryKey }` of the last row of the previous page
+   * @param {number} [options.skip=0] - number of matching rows to skip
+   * @return {AsyncGenerator<object>}
+   */
+  async * #readRows (store, plan, { after = null, skip = 0 } = {}) {
+    const source = plan.indexName === null ? store : store.index(plan.indexName)
+    const sign = plan.direction === 'prev' ? -1 : 1
+    const afterPosition = after && [after.key, after.primaryKey]
+
+    for (const keyRange of plan.keyRanges) {
+      // Unfiltered rows are counted without being read
+      if (skip && !plan.isFiltered && !after) {
+        const rangeCount = await source.count(keyRange)
+        if (rangeCount <= skip) {
+          skip -= rangeCount
+          continue
+        }
+      }
+
+      let cursor = await source.openCursor(keyRange, plan.direction)
+
+      // Jump to the row following the last row of the previous page
+      if (cursor && after) {
+        if (sign * indexedDB.cmp([cursor.key, cursor.primaryKey], afterPosition) < 0) {
+          cursor = plan.indexName === null
+            ? await cursor.continue(after.key)
+            : await cursor.continuePrimaryKey(after.key, after.primaryKey)
+        }
+        if (cursor && indexedDB.cmp([cursor.key, cursor.primaryKey], afterPosition) === 0) {
+          cursor = await cursor.continue()
+        }
+      }
+
+      if (cursor && skip && !plan.isFiltered) {
+        cursor = await cursor.advance(skip)
+        skip = 0
+      }
+
+      while (cursor) {
+        if (QueryLanguage._isConditionValid(plan.where, cursor.value)) {
+          if (skip) {
+            skip -= 1
+          } else {
+            yield cursor.value
+          }
+        }
+
+        cursor = await cursor.continue()
+      }
+    }
+  }
+
+  /**
+   * Read every row matching a query plan sorted in memory
+   * @param {IDBObjectStore} store
+   * @param {object} plan - see planQuery
+   * @return {Promise<Array<object>>}
+   */
+  async #readSortedRows (store, plan) {
+    const rows = []
+
+    for await (const row of this.#readRows(store, plan)) {
+      rows.push(row)
+    }
+
+    return rows.sort((row, other) => this.#comparePositions(this.#getRowPosition(row, plan), this.#getRowPosition(other, plan), plan))
+  }
+
+  /**
+   * Read a page of rows matching a query plan
+   * @param {IDBObjectStore} store
+   * @param {object} plan - see planQuery
+   * @param {object} options
+   * @param {number | null} options.limit
+   * @param {number} options.offset
+   * @param {object | null} options.after - see #readRows
+   * @return {Promise<Array<object>>}
+   */
+  async #readPage (store, plan, { limit, offset, after }) {
+    if (plan.sort) {
+      const sortedRows = await this.#readSortedRows(store, plan)
+      const start = after
+        ? sortedRows.findIndex(row => this.#comparePositions(this.#getRowPosition(row, plan), [after.key, after.primaryKey], plan) > 0)
+        : 0
+
+      return start === -1
+        ? []
+        : sortedRows.slice(start + offset, limit === null ? undefined : start + offset + limit)
+    }
+
+    const rows = []
+
+    if (limit === 0) {
+      return rows
+    }
+
+    // Stop as soon as the page is full
+    for await (const row of this.#readRows(store, plan, { after, skip: offset })) {
+      rows.push(row)
+
+      if (rows.length === limit) {
+        break
+      }
+    }
+
+    return rows
+  }
+
+  /**
+   * Position of a row in the order of a query plan: [key or sorted values, primaryKey]
+   * @param {object} row
+   * @param {object} plan - see planQuery
+   * @return {Array<any>}
+   */
+  #getRowPosition (row, plan) {
+    return [
+      plan.sort ? getOrderValues(row, plan.sort) : getKeyPathValue(row, plan.keyPath),
+      row[this.primaryKey]
+    ]
+  }
+
+  /**
+   * Compare 2 positions in the order of a sorted query plan, rows with the same values are ordered by primary key
+   * @param {Array<any>} position - see #getRowPosition
+   * @param {Array<any>} otherPosition
+   * @param {object} plan - see planQuery
+   * @return {number}
+   */
+  #comparePositions ([values, primaryKey], [otherValues, otherPrimaryKey], plan) {
+    return compareOrderValues(values, otherValues, plan.sort) || indexedDB.cmp(primaryKey, otherPrimaryKey)
+  }
+
+  /**
+   * Forget which indexes contain every row, before writing in the store
+   * Also forgotten at the end of the transaction: the counts made before the commit or the abort are outdated
+   * @param {IDBTransaction} transaction
+   */
+  _clearIndexCache (transaction) {
+    this.#completeIndexes.clear()
+
+    if (!this.#writeTransactions.has(transaction)) {
+      this.#writeTransactions.add(transaction)
+      const clear = () => this.#completeIndexes.clear()
+      transaction.addEventListener('complete', clear)
+      transaction.addEventListener('abort', clear)
+    }
+  }
+
+  /*****************************************************************
+  * Relations
+  *****************************************************************/
+
+  /**
+   * Get a relation and its related store
+   * @param {string} relationName
+   * @return {object}
+   */
+  #getRelation (relationName) {
+    if (!has(this.relations, relationName)) {
+      throw new CustomError(`${this.storeName}: unknown relation \`${relationName}\``)
+    }
+
+    const relation = this.relations[relationName]
+
+    for (const storeName of [relation.storeName, relation.through].filter(Boolean)) {
+      if (!has(this.#backinfront.stores, storeName)) {
+        throw new CustomError(`${this.storeName}: unknown store \`${storeName}\` in the relation \`${relationName}\``)
+      }
+    }
+
+    return {
+      ...relation,
+      relatedStore: this.#backinfront.stores[relation.storeName]
+    }
+  }
+
+  /**
+   * Open the store for a find condition
+   * Without transaction, the transaction covers the stores of the included relations
+   * @param {object | null} condition
+   * @param {IDBTransaction | null} transaction
+   * @return {Promise<IDBObjectStore>}
+   */
+  async #openFindStore (condition, transaction) {
+    if (!transaction && condition?.include?.length) {
+      transaction = await this.#backinfront._openTransaction(this._getIncludeStoreNames(condition.include), 'readonly')
+    }
+
+    return this.#backinfront._openStore(this.storeName, transaction ?? 'readonly')
+  }
+
+  /**
+   * Read the rows of a store having one of the values on a key path
+   * The rows are read by primary key or with an index of the key path when possible
+   * @param {object} store - Store instance
+   * @param {string} keyPath
+   * @param {Array<any>} values - invalid keys are ignored
+   * @param {IDBTransaction} transaction
+   * @return {Promise<Array<object>>}
+   */
+  async #readRelatedRows (store, keyPath, values, transaction) {
+    const keys = new Map()
+    for (const value of values) {
+      if (isValidKey(value)) {
+        keys.set(toKeyId(value), value)
+      }
+    }
+
+    if (!keys.size) {
+      return []
+    }
+
+    const objectStore = await this.#backinfront._openStore(store.storeName, transaction)
+
+    if (keyPath === store.primaryKey) {
+      const rows = await Promise.all([...keys.values()].map(key => objectStore.get(key)))
+      return rows.filter(Boolean)
+    }
+
+    const indexName = Object.keys(store.indexes).find(indexName => store.indexes[indexName] === keyPath)
+
+    if (indexName) {
+      const index = objectStore.index(indexName)
+      const rows = await Promise.all([...keys.values()].map(key => index.getAll(key)))
+      return rows.flat()
+    }
+
+    // Without index, every row is read
+    const rows = await objectStore.getAll()
+    return rows.filter(row => {
+      const value = getKeyPathValue(row, keyPath)
+      return isValidKey(value) && keys.has(toKeyId(value))
+    })
+  }
+
+  /**
+   * Group rows by their value on a key path
+   * @param {Array<object>} rows
+   * @param {string} keyPath
+   * @return {Map<string, Array<object>>} rows by key id (see toKeyId)
+   */
+  #groupRows (rows, keyPath) {
+    const groups = new Map()
+
+    for (const row of rows) {
+      const value = getKeyPathValue(row, keyPath)
+
+      if (!isValidKey(value)) {
+        continue
+      }
+
+      const keyId = toKeyId(value)
+      if (!groups.has(keyId)) {
+        groups.set(keyId, [])
+      }
+      groups.get(keyId).push(row)
+    }
+
+    return groups
+  }
+
+  /**
+   * List the stores read to include relations
+   * @param {Array<string>} include - relation names, nested relations use the dot notation
+   * @return {Array<string>}
+   */
+  _getIncludeStoreNames (include) {
+    const storeNames = new Set([this.storeName])
+
+    for (const [relationName, nestedInclude] of groupInclude(include)) {
+      const { through, relatedStore } = this.#getRelation(relationName)
+
+      if (through) {
+        storeNames.add(through)
+      }
+      for (const storeName of relatedStore._getIncludeStoreNames(nestedInclude)) {
+        storeNames.add(storeName)
+      }
+    }
+
+    return [...storeNames]
+  }
+
+  /**
+   * Add the related rows to each row, with a single read per relation & related key
+   * - belongsTo: the related row (or null) whose primary key is the foreign key of the row
+   * - hasMany: the related rows whose foreign key is the primary key of the row
+   * - manyToMany: the related rows linked to the row by the rows of the `through` store
+   * @param {Array<object>} rows - modified in place
+   * @param {Array<string>} include - relation names, nested relations use the dot notation
+   * @param {IDBTransaction} transaction - must cover every store of the relations (see _getIncludeStoreNames)
+   * @return {Promise<void>}
+   */
+  async _includeRelations (rows, include, transaction) {
+    if (!rows.length) {
+      return
+    }
+
+    for (const [relationName, nestedInclude] of groupInclude(include)) {
+      const { type, foreignKey, through, otherKey, relatedStore } = this.#getRelation(relationName)
+      let relatedRows = []
+
+      if (type === 'belongsTo') {
+        relatedRows = await this.#readRelatedRows(relatedStore, relatedStore.primaryKey, rows.map(row => getKeyPathValue(row, foreignKey)), transaction)
+        const relatedRowsByKey = this.#groupRows(relatedRows, relatedStore.primaryKey)
+
+        for (const row of rows) {
+          const value = getKeyPathValue(row, foreignKey)
+          row[relationName] = isValidKey(value) ? relatedRowsByKey.get(toKeyId(value))?.[0] ?? null : null
+        }
+      } else {
+        const primaryKeys = rows.map(row => row[this.primaryKey])
+        let relatedRowsByKey
+
+        if (type === 'hasMany') {
+          relatedRows = await this.#readRelatedRows(relatedStore, foreignKey, primaryKeys, transaction)
+          relatedRowsByKey = this.#groupRows(relatedRows, foreignKey)
+        } else {
+          const throughStore = this.#backinfront.stores[through]
+          const links = await this.#readRelatedRows(throughStore, foreignKey, primaryKeys, transaction)
+          relatedRows = await this.#readRelatedRows(relatedStore, relatedStore.primaryKey, links.map(link => getKeyPathValue(link, otherKey)), transaction)
+          const relatedRowsById = this.#groupRows(relatedRows, relatedStore.primaryKey)
+
+          // Replace the links by the related rows
+          relatedRowsByKey = this.#groupRows(links, foreignKey)
+          for (const [keyId, keyLinks] of relatedRowsByKey) {
+            relatedRowsByKey.set(keyId, keyLinks.flatMap(link => {
+              const value = getKeyPathValue(link, otherKey)
+              return isValidKey(value) ? relatedRowsById.get(toKeyId(value)) ?? [] : []
+            }))
+          }
+        }
+
+        for (const row of rows) {
+          row[relationName] = relatedRowsByKey.get(toKeyId(row[this.primaryKey])) ?? []
+        }
+      }
+
+      if (nestedInclude.length) {
+        await relatedStore._includeRelations(relatedRows, nestedInclude, transaction)
+      }
+    }
+  }
+
+  /*****************************************************************
+  * Sync
+  *****************************************************************/
+
+  /**
+   * Check if the conflict strategy requires the last synced version of the items
+   * @return {boolean}
+   */
+  _needsSyncBase () {
+    return this.resolveConflict === 'merge' || isFunction(this.resolveConflict)
+  }
+
+  /**
+   * Resolve a conflict between local pending changes and a server change
+   * @param {object} options
+   * @param {any} options.primaryKey
+   * @param {object | null} options.localData - current local item, null if deleted locally
+   * @param {object | null} options.serverData - item sent by the server, null if deleted on the server
+   * @param {object | null} options.baseData - last version known by both sides
+   * @return {Promise<object | null>} data to save locally, null to delete the item
+   */
+  async _resolveConflict ({ primaryKey, localData, serverData, baseData }) {
+    const resolver = isFunction(this.resolveConflict)
+      ? this.resolveConflict
+      : CONFLICT_STRATEGIES[this.resolveConflict]
+
+    const resolvedData = await resolver({
+      storeName: this.storeName,
+      primaryKey,
+      localData,
+      serverData,
+      baseData
+    })
+
+    return resolvedData ?? null
+  }
+
   /*****************************************************************
   * Public API
   *****************************************************************/
@@ -116,54 +653,51 @@ export default class Store {
 
   /**
    * Get all items and the count
-   * @param {object} [condition] - list of filters (where, limit, offset, order)
+   * @param {object} [condition] - list of filters (where, limit, offset, order, include)
    * @param {IDBTransaction} [transaction=null]
    * @return {object}
    */
   async findManyAndCount (condition = null, transaction = null) {
-    const store = await this.#backinfront._openStore(this.storeName, transaction ?? 'readonly')
+    const store = await this.#openFindStore(condition, transaction)
 
     let rows = []
     let count = 0
 
     if (condition) {
       const limit = parseInt(condition.limit) || null
-      const offset = parseInt(condition.offset) || null
-
-      // Initialize cursor params
-      let index = store
-      let direction = 'next'
-
-      if (condition.order) {
-        index = store.index(condition.order[0])
-
-        if (condition.order[1] === 'DESC') {
-          direction = 'prev'
+      const offset = parseInt(condition.offset) || 0
+      const plan = await this.#planQuery(store, condition)
+
+      if (plan.sort) {
+        const sortedRows = await this.#readSortedRows(store, plan)
+        count = sortedRows.length
+        rows = sortedRows.slice(offset, limit === null ? undefined : offset + limit)
+      } else if (!plan.isFiltered) {
+        // Every row of the key ranges matches
+        const source = plan.indexName === null ? store : store.index(plan.indexName)
+        for (const keyRange of plan.keyRanges) {
+          count += await source.count(keyRange)
         }
-      }
-
-      let cursor = await index.openCursor(null, direction)
-
-      // Cursor iteration
-      while (cursor) {
-        if (QueryLanguage._isConditionValid(condition.where, cursor.value)) {
+        rows = await this.#readPage(store, plan, { limit, offset, after: null })
+      } else {
+        for await (const row of this.#readRows(store, plan)) {
           count += 1
 
-          if (
-            (limit === null || limit > rows.length) &&
-            (offset === null || offset < count)
-          ) {
-            rows.push(cursor.value)
+          // Rows of the page: skip `offset` matching rows, then take `limit` rows
+          if (count > offset && (limit === null || rows.length < limit)) {
+            rows.push(row)
           }
         }
-
-        cursor = await cursor.continue()
       }
     } else {
       rows = await store.getAll()
       count = rows.length
     }
 
+    if (condition?.include) {
+      await this._includeRelations(rows, condition.include, store.transaction)
+    }
+
     return {
       [this.#backinfront.collectionCountKey]: count,
       [this.#backinfront.collectionDataKey]: rows
@@ -172,18 +706,60 @@ export default class Store {
 
   /**
    * Get all items
-   * @param {object} [condition=null] - list of filters (where, limit, offset, order)
+   * The reading stops as soon as `limit` items are found
+   * @param {object} [condition=null] - list of filters (where, limit, offset, order, after, include)
    * @param {IDBTransaction} [transaction=null]
    * @return {Array<object>}
    */
   async findMany (condition = null, transaction = null) {
-    const { rows } = await this.findManyAndCount(condition, transaction)
-    return rows
+    if (!condition) {
+      const store = await this.#backinfront._openStore(this.storeName, transaction ?? 'readonly')
+      return store.getAll()
+    }
+
+    const page = await this.findPage(condition, transaction)
+    return page[this.#backinfront.collectionDataKey]
+  }
+
+  /**
+   * Get a page of items and the token of the next page (keyset pagination)
+   * The token is passed as `after` to get the next page: the pages don't slow down as the list grows
+   * @param {object} [condition={}] - list of filters (where, limit, offset, order, after, include)
+   * @param {IDBTransaction} [transaction=null]
+   * @return {object} `{ rows, next }`, next is null on the last page
+   */
+  async findPage (condition = {}, transaction = null) {
+    const store = await this.#openFindStore(condition, transaction)
+    const limit = parseInt(condition.limit) || null
+    const offset = parseInt(condition.offset) || 0
+    const plan = await this.#planQuery(store, condition)
+    // The token is only valid for the same order
+    const order = plan.sort ?? plan.keyPath
+    const after = condition.after ? decodePageToken(condition.after, order) : null
+
+    // An additional row tells if there is a next page
+    const rows = await this.#readPage(store, plan, { limit: limit === null ? null : limit + 1, offset, after })
+    const hasNext = limit !== null && rows.length > limit
+
+    if (hasNext) {
+      rows.pop()
+    }
+
+    const [key, primaryKey] = hasNext ? this.#getRowPosition(rows.at(-1), plan) : []
+
+    if (condition.include) {
+      await this._includeRelations(rows, condition.include, store.transaction)
+    }
+
+    return {
+      [this.#backinfront.collectionDataKey]: rows,
+      [this.#backinfront.collectionNextKey]: hasNext ? encodePageToken({ order, key, primaryKey }) : null
+    }
   }
 
   /**
    * Get an item with a primary key
-   * @param {string | object} primaryKeyValue
+   * @param {string | object} primaryKeyValue - or a condition (where, order, include)
    * @param {IDBTransaction} [transaction=null]
    * @return {object}
    */
@@ -202,14 +778,81 @@ export default class Store {
     return row
   }
 
+  /**
+   * Aggregate the items matching a condition, optionally by group
+   * The items are read one by one with a cursor, only the result of each group is kept in memory
+   * @param {object} query
+   * @param {object} [query.where={}]
+   * @param {Array<string>} [query.groupBy=[]] - fields of the groups (dot notation supported)
+   * @param {{ [name: string]: Array<string> }} query.aggregates - [function, field] of each result: count, sum, avg, min, max or distinct
+   * @param {IDBTransaction} [transaction=null]
+   * @return {Promise<Array<object> | object>} result of each group, a single result without groupBy
+   */
+  async aggregate (query, transaction = null) {
+    typecheck({
+      query: {
+        value: query,
+        type: ['object', {
+          where: { type: 'object' },
+          groupBy: { type: 'array' },
+          aggregates: { type: 'object', required: true }
+        }]
+      }
+    })
+
+    const { where = {}, groupBy = [], aggregates } = query
+    const aggregation = createAggregation({ groupBy, aggregates })
+    const store = await this.#backinfront._openStore(this.storeName, transaction ?? 'readonly')
+    const plan = await this.#planQuery(store, { where })
+
+    // Every row of the key ranges matches: counted without being read
+    if (!plan.isFiltered && !groupBy.length && Object.values(aggregates).every(isRowCount)) {
+      const source = plan.indexName === null ? store : store.index(plan.indexName)
+      let count = 0
+      for (const keyRange of plan.keyRanges) {
+        count += await source.count(keyRange)
+      }
+      return Object.fromEntries(Object.keys(aggregates).map(name => [name, count]))
+    }
+
+    for await (const row of this.#readRows(store, plan)) {
+      aggregation.add(row)
+    }
+
+    return aggregation.getResult()
+  }
+
   /**
    * Clear the store
    * @param {IDBTransaction} [transaction=null]
    * @returns {void}
    */
   async clear (transaction = null) {
-    const store = await this.#backinfront._openStore(this.storeName, transaction ?? 'readwrite')
+    let autocommit = false
+
+    if (transaction === null) {
+      transaction = await this.#backinfront._openTransaction()
+      autocommit = true
+    }
+
+    const store = await this.#backinfront._openStore(this.storeName, transaction)
+    // Keep track of the deleted keys before removing everything
+    const primaryKeyValues = await store.getAllKeys()
+    this._clearIndexCache(store.transaction)
     await store.clear()
+
+    for (const primaryKeyValue of primaryKeyValues) {
+      await this.#backinfront._addToSyncQueue({
+        storeName: this.storeName,
+        primaryKey: primaryKeyValue,
+        operation: 'delete'
+      }, transaction)
+    }
+
+    // Force the commit if the function own the transaction
+    if (autocommit) {
+      transaction.commit?.()
+    }
   }
 
   /**
@@ -219,7 +862,7 @@ export default class Store {
    * @returns {void}
    */
   async deleteMany (condition = null, transaction = null) {
-    transaction ??= await this.#backinfront._openTransaction(this.storeName)
+    transaction ??= await this.#backinfront._openTransaction()
 
     if (condition) {
       await Promise.all(
@@ -236,8 +879,27 @@ export default class Store {
    * @param {IDBTransaction} [transaction=null]
    */
   async deleteOne (primaryKeyValue, transaction = null) {
-    const store = await this.#backinfront._openStore(this.storeName, transaction ?? 'readwrite')
+    let autocommit = false
+
+    if (transaction === null) {
+      transaction = await this.#backinfront._openTransaction()
+      autocommit = true
+    }
+
+    const store = await this.#backinfront._openStore(this.storeName, transaction)
+    this._clearIndexCache(store.transaction)
     await store.delete(primaryKeyValue)
+
+    await this.#backinfront._addToSyncQueue({
+      storeName: this.storeName,
+      primaryKey: primaryKeyValue,
+      operation: 'delete'
+    }, transaction)
+
+    // Force the commit if the function own the transaction
+    if (autocommit) {
+      transaction.commit?.()
+    }
   }
 
   /**
@@ -258,12 +920,19 @@ export default class Store {
     // Insert the new item
     this.beforeCreate(data)
     const formattedData = this.#backinfront.formatDataBeforeSave(data)
-    const savedPrimaryKeyValue = await store.add(formattedData)
+    this._clearIndexCache(store.transaction)
+    const savedPrimaryKeyValue = await store.add(formattedData).catch((error) => {
+      throw error.name === 'ConstraintError'
+        ? new ConflictError(`${this.storeName} already exists`)
+        : error
+    })
     const refreshedData = await store.get(savedPrimaryKeyValue)
 
     await this.#backinfront._addToSyncQueue({
       storeName: this.storeName,
-      primaryKey: savedPrimaryKeyValue
+      primaryKey: savedPrimaryKeyValue,
+      operation: 'put',
+      data: this.syncMode === 'operation' ? refreshedData : undefined
     }, transaction)
 
     // Force the commit if the function own the transaction
@@ -299,16 +968,32 @@ export default class Store {
     }
     // Compare field by field recursively
     const item = await store.get(primaryKeyValue)
-    const updatedData = this.#updateObject(item, data, this.primaryKey)
+    const patch = this.syncMode === 'operation' ? [] : null
+    const updatedData = this.#updateObject(item, data, patch)
     const formattedData = this.#backinfront.formatDataBeforeSave(updatedData)
     // Store the new object
+    this._clearIndexCache(store.transaction)
     const savedPrimaryKeyValue = await store.put(formattedData)
     const refreshedData = await store.get(savedPrimaryKeyValue)
 
-    await this.#backinfront._addToSyncQueue({
-      storeName: this.storeName,
-      primaryKey: savedPrimaryKeyValue
-    }, transaction)
+    // Operation mode: upload the changes only
+    if (patch && item) {
+      if (patch.length) {
+        await this.#backinfront._addToSyncQueue({
+          storeName: this.storeName,
+          primaryKey: savedPrimaryKeyValue,
+          operation: 'patch',
+          patch
+        }, transaction)
+      }
+    } else {
+      await this.#backinfront._addToSyncQueue({
+        storeName: this.storeName,
+        primaryKey: savedPrimaryKeyValue,
+        operation: 'put',
+        data: this.syncMode === 'operation' ? refreshedData : undefined
+      }, transaction)
+    }
 
     // Force the commit if the function own the transaction
     if (autocommit) {
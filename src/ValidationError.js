@@ -0,0 +1,13 @@
+import RouteError from './RouteError.js'
+
+
+export default class ValidationError extends RouteError {
+  /**
+   * 400: invalid input, details usually list the failing fields
+   * @param {string} [message='Invalid request']
+   * @param {any} [details=null]
+   */
+  constructor (message = 'Invalid request', details = null) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details })
+  }
+}
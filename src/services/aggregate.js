@@ -0,0 +1,158 @@
+import { has, isArray, isString } from 'bibliotech'
+import CustomError from '../CustomError.js'
+import { compareOrderValues, getKeyPathValue, isValidKey, normalizeOrder } from './queryPlanner.js'
+import { toKeyId } from './relations.js'
+
+
+/**
+ * @typedef {{
+ *   accepts?: (value: any) => boolean,
+ *   init: () => any,
+ *   add: (accu: any, value: any) => any,
+ *   result: (accu: any) => any
+ * }} AggregateFunction
+ */
+
+// Values compared like an ascending order
+const VALUE_ORDER = normalizeOrder(['value', 'ASC'], {})
+
+/**
+ * @param {any} value
+ * @return {boolean}
+ */
+function isNumber (value) {
+  return typeof value === 'number' && !Number.isNaN(value)
+}
+
+/**
+ * Identify any value in a Map, like toKeyId for the valid keys
+ * @param {any} value
+ * @return {string}
+ */
+function toValueId (value) {
+  return isValidKey(value) ? toKeyId(value) : `j${JSON.stringify(value ?? null)}`
+}
+
+/*
+ * Accumulators of the aggregate functions
+ * The null & undefined values are ignored, sum & avg ignore non numeric values
+ * `count` without field counts the rows
+ */
+/** @type {{ [functionName: string]: AggregateFunction }} */
+const AGGREGATE_FUNCTIONS = {
+  count: {
+    init: () => 0,
+    add: (accu) => accu + 1,
+    result: (accu) => accu
+  },
+  sum: {
+    accepts: isNumber,
+    init: () => 0,
+    add: (accu, value) => accu + value,
+    result: (accu) => accu
+  },
+  avg: {
+    accepts: isNumber,
+    init: () => ({ sum: 0, count: 0 }),
+    add: ({ sum, count }, value) => ({ sum: sum + value, count: count + 1 }),
+    result: ({ sum, count }) => count ? sum / count : null
+  },
+  min: {
+    init: () => null,
+    add: (accu, value) => accu === null || compareOrderValues([value], [accu], VALUE_ORDER) < 0 ? value : accu,
+    result: (accu) => accu
+  },
+  max: {
+    init: () => null,
+    add: (accu, value) => accu === null || compareOrderValues([value], [accu], VALUE_ORDER) > 0 ? value : accu,
+    result: (accu) => accu
+  },
+  distinct: {
+    init: () => new Map(),
+    add: (accu, value) => accu.set(toValueId(value), value),
+    result: (accu) => [...accu.values()]
+  }
+}
+
+/**
+ * Check if an aggregate only counts the rows
+ * @param {Array<string | null>} aggregate - [function, field]
+ * @return {boolean}
+ */
+export function isRowCount ([functionName, field = null]) {
+  return functionName === 'count' && field === null
+}
+
+/**
+ * Create an aggregation fed row by row, only the accumulators of each group are kept in memory
+ * @param {object} options
+ * @param {Array<string>} [options.groupBy=[]] - fields of the groups (dot notation supported)
+ * @param {{ [name: string]: Array<string> }} options.aggregates - [function, field] of each result, `count` doesn't require a field
+ * @return {{ add: function, getResult: function }}
+ */
+export function createAggregation ({ groupBy = [], aggregates }) {
+  for (const [name, aggregate] of Object.entries(aggregates)) {
+    if (!isArray(aggregate) || !has(AGGREGATE_FUNCTIONS, aggregate[0])) {
+      throw new CustomError(`aggregate: unknown function in \`${name}\``)
+    }
+    if (!isRowCount(aggregate) && !isString(aggregate[1])) {
+      throw new CustomError(`aggregate: \`${name}\` requires a field`)
+    }
+  }
+
+  const groups = new Map()
+  const groupOrder = normalizeOrder(groupBy.map(field => [field, 'ASC']), {})
+
+  const createGroup = (/** @type {Array<any>} */ values) => ({
+    values,
+    accus: Object.values(aggregates).map(([functionName]) => AGGREGATE_FUNCTIONS[functionName].init())
+  })
+
+  // Without groupBy, the result exists even without row
+  if (!groupBy.length) {
+    groups.set('', createGroup([]))
+  }
+
+  return {
+    /**
+     * @param {object} row
+     */
+    add (row) {
+      const values = groupBy.map(field => getKeyPathValue(row, field) ?? null)
+      const groupId = values.map(toValueId).join(' ')
+
+      if (!groups.has(groupId)) {
+        groups.set(groupId, createGroup(values))
+      }
+
+      const group = groups.get(groupId)
+
+      for (const [position, [functionName, field]] of Object.values(aggregates).entries()) {
+        const { accepts, add } = AGGREGATE_FUNCTIONS[functionName]
+        const value = isRowCount([functionName, field]) ? row : getKeyPathValue(row, field) ?? null
+
+        if (value !== null && (!accepts || accepts(value))) {
+          group.accus[position] = add(group.accus[position], value)
+        }
+      }
+    },
+
+    /**
+     * Result of each group sorted by the groupBy values, a single result without groupBy
+     * @return {Array<object> | object}
+     */
+    getResult () {
+      const results = [...groups.values()]
+        .sort((group, other) => compareOrderValues(group.values, other.values, groupOrder))
+        .map(({ values, accus }) => ({
+          ...Object.fromEntries(groupBy.map((field, position) => [field, values[position]])),
+          ...Object.fromEntries(Object.entries(aggregates).map(([name, [functionName]], position) => [
+            name,
+            AGGREGATE_FUNCTIONS[functionName].result(accus[position])
+          ]))
+        }))
+
+      return groupBy.length ? results : results[0]
+    }
+  }
+}
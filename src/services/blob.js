@@ -0,0 +1,72 @@
+import { toJsonPointer } from './jsonPatch.js'
+
+
+/**
+ * Convert data the way JSON does (Date to string, undefined & functions removed, ...)
+ * but keep Blobs, which IndexedDB can store as is
+ * @param {any} value
+ * @return {any}
+ */
+export function toStorableData (value) {
+  if (value instanceof Blob) {
+    return value
+  }
+  if (typeof value?.toJSON === 'function') {
+    return toStorableData(value.toJSON())
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toStorableData(item) ?? null)
+  }
+  if (value !== null && typeof value === 'object') {
+    /** @type {{ [key: string]: any }} */
+    const data = {}
+    for (const [key, item] of Object.entries(value)) {
+      const storableItem = toStorableData(item)
+      if (storableItem !== undefined) {
+        data[key] = storableItem
+      }
+    }
+    return data
+  }
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    return undefined
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return null
+  }
+  return value
+}
+
+/**
+ * Replace the Blobs of a value by a reference `{ $blob: path, type, size }`
+ * where path is the JSON Pointer of the Blob in the value
+ * @param {any} value
+ * @param {Array<string>} [path=[]]
+ * @return {{ value: any, blobs: Array<{ path: string, blob: Blob }> }}
+ */
+export function extractBlobs (value, path = []) {
+  if (value instanceof Blob) {
+    const pointer = toJsonPointer(path)
+    return {
+      value: { $blob: pointer, type: value.type, size: value.size },
+      blobs: [{ path: pointer, blob: value }]
+    }
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return { value, blobs: [] }
+  }
+
+  /** @type {Array<{ path: string, blob: Blob }>} */
+  const blobs = []
+  const entries = Object.entries(value).map(([key, item]) => {
+    const extracted = extractBlobs(item, [...path, key])
+    blobs.push(...extracted.blobs)
+    return [key, extracted.value]
+  })
+
+  return {
+    value: Array.isArray(value) ? entries.map(([, item]) => item) : Object.fromEntries(entries),
+    blobs
+  }
+}
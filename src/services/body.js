@@ -0,0 +1,70 @@
+import ValidationError from '../ValidationError.js'
+
+
+/**
+ * Convert form data into an object, repeated keys become arrays
+ * @param {FormData} formData
+ * @return {object}
+ */
+function formDataToObject (formData) {
+  /** @type {{ [key: string]: any }} */
+  const data = {}
+
+  for (const [key, value] of formData.entries()) {
+    if (!Object.hasOwn(data, key)) {
+      data[key] = value
+    } else if (Array.isArray(data[key])) {
+      data[key].push(value)
+    } else {
+      data[key] = [data[key], value]
+    }
+  }
+
+  return data
+}
+
+/**
+ * Read the body of a request according to its content type
+ * - json: parsed value
+ * - multipart/form-data & x-www-form-urlencoded: object of fields, files are kept as File
+ * - text/plain: parsed value if it's valid json (the content type of `fetch` for a string body), string otherwise
+ * - text: string
+ * - anything else: Blob
+ * @param {Request} request
+ * @return {Promise<any>}
+ */
+export async function readRequestBody (request) {
+  const clonedRequest = request.clone()
+  const contentType = (clonedRequest.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase()
+
+  if (contentType === 'multipart/form-data' || contentType === 'application/x-www-form-urlencoded') {
+    return formDataToObject(await clonedRequest.formData())
+  }
+
+  if (!contentType || contentType === 'application/json' || contentType.endsWith('+json')) {
+    const text = await clonedRequest.text()
+
+    try {
+      return text ? JSON.parse(text) : null
+    } catch {
+      throw new ValidationError('Invalid json body')
+    }
+  }
+
+  if (contentType === 'text/plain') {
+    const text = await clonedRequest.text()
+
+    try {
+      return JSON.parse(text)
+    } catch {
+      return text
+    }
+  }
+
+  if (contentType.startsWith('text/')) {
+    return clonedRequest.text()
+  }
+
+  const blob = await clonedRequest.blob()
+  return blob.size ? blob : null
+}
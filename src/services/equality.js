@@ -0,0 +1,36 @@
+import { has, isObject } from 'bibliotech'
+
+
+/**
+ * Compare 2 values deeply, whatever the order of the object keys
+ * Like json, an undefined property equals a missing one
+ * Blobs are compared by identity, their content is not readable synchronously
+ * @param {any} value
+ * @param {any} other
+ * @return {boolean}
+ */
+export function isSameValue (value, other) {
+  if (value === other) {
+    return true
+  }
+  if (value instanceof Date && other instanceof Date) {
+    return value.getTime() === other.getTime()
+  }
+  if (Array.isArray(value) && Array.isArray(other)) {
+    return (
+      value.length === other.length &&
+      value.every((item, position) => isSameValue(item, other[position]))
+    )
+  }
+  if (isObject(value) && isObject(other)) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined)
+    const otherKeys = Object.keys(other).filter(key => other[key] !== undefined)
+
+    return (
+      keys.length === otherKeys.length &&
+      keys.every(key => has(other, key) && isSameValue(value[key], other[key]))
+    )
+  }
+
+  return false
+}
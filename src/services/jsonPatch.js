@@ -0,0 +1,43 @@
+/**
+ * Build a JSON Pointer from a list of keys
+ * https://datatracker.ietf.org/doc/html/rfc6901
+ * @param {Array<string>} path
+ * @return {string}
+ */
+export function toJsonPointer (path) {
+  return path
+    .map(key => `/${String(key).replaceAll('~', '~0').replaceAll('/', '~1')}`)
+    .join('')
+}
+
+/**
+ * Parse a JSON Pointer into a list of keys
+ * @param {string} pointer
+ * @return {Array<string>}
+ */
+export function fromJsonPointer (pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(key => key.replaceAll('~1', '/').replaceAll('~0', '~'))
+}
+
+/**
+ * Apply `add` & `replace` JSON Patch operations on a copy of an object
+ * https://datatracker.ietf.org/doc/html/rfc6902
+ * @param {object} data
+ * @param {Array<{ op: string, path: string, value?: any }>} patch
+ * @return {object}
+ */
+export function applyPatch (data, patch) {
+  const patchedData = structuredClone(data)
+
+  for (const { path, value } of patch) {
+    const keys = fromJsonPointer(path)
+    const key = /** @type {string} */ (keys.pop())
+    const parent = keys.reduce((/** @type {any} */ accu, current) => accu[current], patchedData)
+    parent[key] = structuredClone(value)
+  }
+
+  return patchedData
+}
@@ -0,0 +1,39 @@
+import ValidationError from '../ValidationError.js'
+
+
+/**
+ * Encode the position of the last row of a page into an opaque token
+ * @param {object} position
+ * @param {any} position.order - key path of the index or sorted fields
+ * @param {any} position.key - value of the key path or of the sorted fields
+ * @param {any} position.primaryKey
+ * @return {string}
+ */
+export function encodePageToken ({ order, key, primaryKey }) {
+  const bytes = new TextEncoder().encode(JSON.stringify([order, key, primaryKey]))
+  // base64url, usable in a query string
+  return btoa(String.fromCharCode(...bytes))
+    .replaceAll('+', '-')
+    .replaceAll('/', '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Decode a token created by encodePageToken
+ * @param {string} token
+ * @param {any} order - order of the current query, must match the token
+ * @return {{ key: any, primaryKey: any }}
+ */
+export function decodePageToken (token, order) {
+  try {
+    const base64 = token.replaceAll('-', '+').replaceAll('_', '/')
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+    const [tokenOrder, key, primaryKey] = JSON.parse(new TextDecoder().decode(bytes))
+
+    if (JSON.stringify(tokenOrder) === JSON.stringify(order)) {
+      return { key, primaryKey }
+    }
+  } catch {}
+
+  throw new ValidationError('Invalid page token', [{ field: 'after', message: 'the token does not match the order of the query' }])
+}
@@ -0,0 +1,500 @@
+import { has, isArray, isObject, isString } from 'bibliotech'
+import CustomError from '../CustomError.js'
+
+
+/**
+ * @typedef {{ [indexName: string]: string | Array<string> }} IndexKeyPaths - key path of each index
+ * @typedef {{ [operator: string]: any }} Predicate - operators of a field usable in a key range
+ * @typedef {{ field: string, direction: 'ASC' | 'DESC', nulls: 'first' | 'last' }} OrderTerm
+ * @typedef {{ primaryKey: string, indexes: IndexKeyPaths, where?: object, order?: Array<any> | null }} QueryOptions
+ */
+
+// Operators translated into a key range
+const EQUALITY_OPERATORS = ['$equal', '$in']
+const LOWER_OPERATORS = ['$gt', '$gte']
+const UPPER_OPERATORS = ['$lt', '$lte']
+
+// Maximum number of key ranges of a plan (`$in` values of each field are multiplied)
+const MAX_KEY_RANGES = 100
+
+/**
+ * Check if a value can be used as an IndexedDB key
+ * @param {any} value
+ * @return {boolean}
+ */
+export function isValidKey (value) {
+  if (typeof value === 'number') {
+    return !Number.isNaN(value)
+  }
+  if (typeof value === 'string') {
+    return true
+  }
+  if (value instanceof Date) {
+    return !Number.isNaN(value.getTime())
+  }
+  if (isArray(value)) {
+    return value.every(isValidKey)
+  }
+  return false
+}
+
+/**
+ * Extract the value of a key path from a row, undefined if a part is missing
+ * @param {object} row
+ * @param {string | Array<string>} keyPath
+ * @return {any}
+ */
+export function getKeyPathValue (row, keyPath) {
+  if (Array.isArray(keyPath)) {
+    return keyPath.map(path => getKeyPathValue(row, path))
+  }
+  return keyPath
+    .split('.')
+    .reduce((/** @type {any} */ accu, current) => accu?.[current], row)
+}
+
+/**
+ * Check if a key range gives the same rows as the js operator (see QueryLanguage)
+ * - `$equal` & `$in` on numbers or strings: `===` never matches a value of another type
+ * - ranges on strings which are not numbers: js compares them to numbers, null & booleans as numbers
+ *   and never matches a value of another type in this case (except arrays, objects & binaries, compared as strings)
+ * Dates, arrays & numeric ranges are evaluated in js
+ * @param {string} operator
+ * @param {any} value
+ * @return {boolean}
+ */
+function isKeyRangeExact (operator, value) {
+  if (EQUALITY_OPERATORS.includes(operator)) {
+    return isString(value) || (typeof value === 'number' && isValidKey(value))
+  }
+
+  return isString(value) && Number.isNaN(Number(value))
+}
+
+/**
+ * Extract the conditions usable in a key range from the top level fields of a where clause
+ * @param {object} where
+ * @return {Map<string, Predicate>} operators of each field
+ */
+function extractPredicates (where) {
+  const predicates = new Map()
+
+  if (!isObject(where)) {
+    return predicates
+  }
+
+  for (const [field, conditionValue] of Object.entries(where)) {
+    // Logic operators are evaluated in js
+    if (field.startsWith('$')) {
+      continue
+    }
+
+    const operators = isObject(conditionValue) ? conditionValue : { $equal: conditionValue }
+    /** @type {Predicate} */
+    const predicate = {}
+
+    for (const [operator, value] of Object.entries(operators)) {
+      if (
+        (operator === '$in' && Array.isArray(value) && value.length && value.every(item => isKeyRangeExact(operator, item))) ||
+        ([...LOWER_OPERATORS, ...UPPER_OPERATORS, '$equal'].includes(operator) && isKeyRangeExact(operator, value))
+      ) {
+        predicate[operator] = value
+      }
+    }
+
+    if (Object.keys(predicate).length) {
+      predicates.set(field, predicate)
+    }
+  }
+
+  return predicates
+}
+
+/**
+ * Sort & deduplicate a list of keys
+ * @param {Array<any>} keys
+ * @return {Array<any>}
+ */
+function sortKeys (keys) {
+  return keys
+    .toSorted((key, other) => indexedDB.cmp(key, other))
+    .filter((key, position, sortedKeys) => position === 0 || indexedDB.cmp(key, sortedKeys[position - 1]) !== 0)
+}
+
+/**
+ * Build the key ranges of an index from the predicates
+ * Compound indexes use the equalities of their first fields, then a range on the next field
+ * @param {string | Array<string>} keyPath
+ * @param {Map<string, Predicate>} predicates
+ * @return {{ keyRanges: Array<IDBKeyRange>, consumed: Array<[string, string]>, score: number }}
+ */
+function planIndex (keyPath, predicates) {
+  const isCompound = Array.isArray(keyPath)
+  const fields = isCompound ? keyPath : [keyPath]
+  /** @type {Array<[string, string]>} */
+  const consumed = []
+  /** @type {Array<Array<any>>} */
+  let prefixes = [[]]
+  /** @type {{ value: any, open: boolean } | null} */
+  let lower = null
+  /** @type {{ value: any, open: boolean } | null} */
+  let upper = null
+  let score = 0
+
+  for (const field of fields) {
+    const predicate = predicates.get(field)
+
+    if (!predicate) {
+      break
+    }
+
+    // Equalities extend the prefix of the keys
+    const equalityOperator = EQUALITY_OPERATORS.find(operator => (
+      has(predicate, operator) &&
+      (operator === '$equal' || prefixes.length * predicate.$in.length <= MAX_KEY_RANGES)
+    ))
+
+    if (equalityOperator) {
+      /** @type {Array<any>} */
+      const values = equalityOperator === '$equal' ? [predicate.$equal] : predicate.$in
+      prefixes = prefixes.flatMap(prefix => values.map(value => [...prefix, value]))
+      consumed.push([field, equalityOperator])
+      score += 2
+      continue
+    }
+
+    // A range ends the usable part of the index
+    const lowerOperator = LOWER_OPERATORS.find(operator => has(predicate, operator))
+    const upperOperator = UPPER_OPERATORS.find(operator => has(predicate, operator))
+
+    if (lowerOperator) {
+      lower = { value: predicate[lowerOperator], open: lowerOperator === '$gt' }
+      consumed.push([field, lowerOperator])
+      score += 1
+    }
+    if (upperOperator) {
+      upper = { value: predicate[upperOperator], open: upperOperator === '$lt' }
+      consumed.push([field, upperOperator])
+      score += 1
+    }
+
+    // Ranges are on strings (see isKeyRangeExact): numbers & dates are lower, arrays are greater
+    if (lower || upper) {
+      lower ??= { value: '', open: false }
+      upper ??= { value: [], open: true }
+    }
+    break
+  }
+
+  if (!consumed.length) {
+    return { keyRanges: [], consumed, score }
+  }
+
+  const isComplete = prefixes[0].length === fields.length
+  /** @type {Array<IDBKeyRange>} */
+  const keyRanges = []
+
+  for (const prefix of sortKeys(prefixes)) {
+    const toKey = (/** @type {any} */ value) => isCompound ? [...prefix, value] : value
+
+    // Equalities only, a range sets both bounds
+    if (!lower || !upper) {
+      keyRanges.push(
+        isComplete
+          ? IDBKeyRange.only(isCompound ? prefix : prefix[0])
+          // Arrays are greater than any other key: [...prefix, []] follows every key starting with prefix
+          : IDBKeyRange.bound(prefix, [...prefix, []])
+      )
+      continue
+    }
+
+    const lowerKey = toKey(lower.value)
+    const upperKey = toKey(upper.value)
+    const comparison = indexedDB.cmp(lowerKey, upperKey)
+
+    // Empty range
+    if (comparison > 0 || (comparison === 0 && (lower.open || upper.open))) {
+      continue
+    }
+    keyRanges.push(IDBKeyRange.bound(lowerKey, upperKey, lower.open, upper.open))
+  }
+
+  return { keyRanges, consumed, score }
+}
+
+/**
+ * Remove the conditions evaluated by the key ranges from a where clause
+ * @param {object} where
+ * @param {Array<[string, string]>} consumed - [field, operator]
+ * @return {object}
+ */
+function removePredicates (where, consumed) {
+  /** @type {{ [field: string]: any }} */
+  const remainingWhere = { ...where }
+
+  for (const [field, operator] of consumed) {
+    if (!isObject(remainingWhere[field])) {
+      delete remainingWhere[field]
+      continue
+    }
+
+    const { [operator]: removedValue, ...remainingOperators } = remainingWhere[field]
+
+    if (Object.keys(remainingOperators).length) {
+      remainingWhere[field] = remainingOperators
+    } else {
+      delete remainingWhere[field]
+    }
+  }
+
+  return remainingWhere
+}
+
+/**
+ * Normalize the order of a condition into a list of terms
+ * `['field', 'DESC']` or `[['field', 'DESC', 'NULLS FIRST'], ['nested.field', 'ASC'], ...]`
+ * An index name is replaced by the fields of the index
+ * Nulls (null & undefined) are greater than any value by default: last in ascending order, first in descending order
+ * @param {Array<any> | null} order
+ * @param {IndexKeyPaths} indexes
+ * @return {Array<OrderTerm>}
+ */
+export function normalizeOrder (order, indexes) {
+  if (!order?.length) {
+    return []
+  }
+
+  const pairs = isString(order[0]) ? [order] : order
+
+  return pairs.flatMap(([name, direction = 'ASC', nulls = null]) => {
+    if (!['ASC', 'DESC'].includes(direction)) {
+      throw new CustomError(`query: unknown order direction \`${direction}\``)
+    }
+    if (nulls !== null && !['NULLS FIRST', 'NULLS LAST'].includes(nulls)) {
+      throw new CustomError(`query: unknown order option \`${nulls}\``)
+    }
+
+    const fields = has(indexes, name) ? [indexes[name]].flat() : [name]
+
+    return fields.map(field => ({
+      field,
+      direction,
+      nulls: nulls === null
+        ? (direction === 'ASC' ? 'last' : 'first')
+        : (nulls === 'NULLS FIRST' ? 'first' : 'last')
+    }))
+  })
+}
+
+/**
+ * Fields with a single value in every matching row
+ * @param {Map<string, Predicate>} predicates
+ * @return {Set<string>}
+ */
+function getFixedFields (predicates) {
+  return new Set(
+    [...predicates.entries()]
+      .filter(([, predicate]) => has(predicate, '$equal'))
+      .map(([field]) => field)
+  )
+}
+
+/**
+ * Terms of the order which are not fixed by an equality
+ * @param {Omit<QueryOptions, 'primaryKey'>} options - see planQuery
+ * @return {Array<OrderTerm>}
+ */
+function getEffectiveOrder ({ indexes, where = {}, order = null }) {
+  const fixedFields = getFixedFields(extractPredicates(where))
+  return normalizeOrder(order, indexes).filter(term => !fixedFields.has(term.field))
+}
+
+/**
+ * List the indexes reading the rows in the order of a condition (null is the primary key)
+ * The fixed fields of an index are ignored, the other fields must start with the ordered fields in the same direction
+ * @param {QueryOptions} options - see planQuery
+ * @return {Array<string | null>}
+ */
+function getOrderIndexNames ({ primaryKey, indexes, where = {}, order = null }) {
+  const terms = getEffectiveOrder({ indexes, where, order })
+
+  if (!terms.length || terms.some(term => term.direction !== terms[0].direction)) {
+    return []
+  }
+
+  const fixedFields = getFixedFields(extractPredicates(where))
+  /** @type {Array<[string | null, string | Array<string>]>} */
+  const candidates = [[null, primaryKey], ...Object.entries(indexes)]
+
+  return candidates
+    .filter(([, keyPath]) => {
+      const fields = [keyPath].flat().filter(field => !fixedFields.has(field))
+      return terms.every((term, position) => fields[position] === term.field)
+    })
+    .map(([indexName]) => indexName)
+}
+
+/**
+ * Extract the values of the ordered fields of a row
+ * @param {object} row
+ * @param {Array<OrderTerm>} terms - see normalizeOrder
+ * @return {Array<any>}
+ */
+export function getOrderValues (row, terms) {
+  return terms.map(({ field }) => getKeyPathValue(row, field) ?? null)
+}
+
+/**
+ * Compare 2 values of a field
+ * @param {any} value
+ * @param {any} other
+ * @return {number}
+ */
+function compareValues (value, other) {
+  if (isValidKey(value) && isValidKey(other)) {
+    return indexedDB.cmp(value, other)
+  }
+  if (typeof value === 'boolean' && typeof other === 'boolean') {
+    return Number(value) - Number(other)
+  }
+  return String(value).localeCompare(String(other))
+}
+
+/**
+ * Compare the order values of 2 rows
+ * @param {Array<any>} values - see getOrderValues
+ * @param {Array<any>} otherValues
+ * @param {Array<OrderTerm>} terms - see normalizeOrder
+ * @return {number}
+ */
+export function compareOrderValues (values, otherValues, terms) {
+  for (const [position, { direction, nulls }] of terms.entries()) {
+    const value = values[position] ?? null
+    const other = otherValues[position] ?? null
+
+    if (value === null || other === null) {
+      if (value !== other) {
+        return (value === null) === (nulls === 'first') ? -1 : 1
+      }
+      continue
+    }
+
+    const comparison = compareValues(value, other)
+
+    if (comparison !== 0) {
+      return direction === 'ASC' ? comparison : -comparison
+    }
+  }
+
+  return 0
+}
+
+/**
+ * Check if the key ranges of an index evaluate a condition on each field of the index
+ * @param {string | Array<string>} keyPath
+ * @param {Array<[string, string]>} consumed - see planIndex
+ * @return {boolean}
+ */
+function isCoveringPlan (keyPath, consumed) {
+  return [keyPath].flat().every(field => consumed.some(([consumedField]) => consumedField === field))
+}
+
+/**
+ * List the indexes which can only be used by planQuery if no row is missing from them
+ * An index only contains the rows with a valid key for each of its fields:
+ * - an order index would skip the rows without a valid key (they are sorted as nulls)
+ * - a compound index with conditions on its first fields only would skip the rows without a valid key on the next fields
+ * A condition evaluated by an index never matches a row without a valid key
+ * @param {QueryOptions} options - see planQuery
+ * @return {Array<string>}
+ */
+export function getIndexesToCheck ({ primaryKey, indexes, where = {}, order = null }) {
+  const predicates = extractPredicates(where)
+  const indexNames = new Set(getOrderIndexNames({ primaryKey, indexes, where, order }))
+
+  for (const [indexName, keyPath] of Object.entries(indexes)) {
+    const { consumed } = planIndex(keyPath, predicates)
+    if (consumed.length && !isCoveringPlan(keyPath, consumed)) {
+      indexNames.add(indexName)
+    }
+  }
+
+  // The primary key is always valid
+  indexNames.delete(null)
+  return /** @type {Array<string>} */ ([...indexNames])
+}
+
+/**
+ * Choose how to read the rows matching a condition
+ * The index consuming the most conditions is used with key ranges ($equal, $in, $gt, $gte, $lt, $lte),
+ * the remaining conditions are evaluated in js
+ * On a tie, an order index is preferred since it does not require a sort
+ * @param {object} options
+ * @param {string} options.primaryKey
+ * @param {IndexKeyPaths} options.indexes
+ * @param {object} [options.where]
+ * @param {Array<any> | null} [options.order] - see normalizeOrder
+ * @param {Array<string>} [options.completeIndexNames=[]] - indexes containing every row of the store (see getIndexesToCheck)
+ * @return {{ indexName: string | null, keyPath: string | Array<string>, keyRanges: Array<IDBKeyRange | null>, direction: IDBCursorDirection, where: object, isFiltered: boolean, sort: Array<OrderTerm> | null }}
+ */
+export function planQuery ({ primaryKey, indexes, where = {}, order = null, completeIndexNames = [] }) {
+  const isComplete = (/** @type {string | null} */ indexName) => indexName === null || completeIndexNames.includes(indexName)
+  const orderIndexNames = getOrderIndexNames({ primaryKey, indexes, where, order }).filter(isComplete)
+  const terms = getEffectiveOrder({ indexes, where, order })
+  const direction = terms[0]?.direction === 'DESC' ? 'prev' : 'next'
+  const isOrderIndex = (/** @type {string | null} */ indexName) => !terms.length || orderIndexNames.includes(indexName)
+  const predicates = extractPredicates(where)
+  // null is the primary key
+  /** @type {Array<[string | null, string | Array<string>]>} */
+  const candidates = [[null, primaryKey], ...Object.entries(indexes)]
+  let bestPlan = null
+
+  for (const [indexName, keyPath] of candidates) {
+    const plan = { indexName, ...planIndex(keyPath, predicates) }
+
+    if (
+      plan.score > 0 &&
+      (isComplete(indexName) || isCoveringPlan(keyPath, plan.consumed)) &&
+      (
+        bestPlan === null ||
+        plan.score > bestPlan.score ||
+        (plan.score === bestPlan.score && terms.length && isOrderIndex(indexName) && !isOrderIndex(bestPlan.indexName))
+      )
+    ) {
+      bestPlan = plan
+    }
+  }
+
+  // Full scan of an order index or the store
+  if (bestPlan === null) {
+    const indexName = terms.length && orderIndexNames.length ? orderIndexNames[0] : null
+    const isOrdered = isOrderIndex(indexName)
+
+    return {
+      indexName,
+      keyPath: indexName === null ? primaryKey : indexes[indexName],
+      keyRanges: [null],
+      direction: isOrdered ? direction : 'next',
+      where,
+      // Every row read is a result
+      isFiltered: isObject(where) && Object.keys(where).length > 0,
+      // Rows are sorted in memory if no index gives the order
+      sort: isOrdered ? null : terms
+    }
+  }
+
+  const isOrdered = isOrderIndex(bestPlan.indexName)
+  const remainingWhere = removePredicates(where, bestPlan.consumed)
+
+  return {
+    indexName: bestPlan.indexName,
+    keyPath: bestPlan.indexName === null ? primaryKey : indexes[bestPlan.indexName],
+    // In the direction of the cursor
+    keyRanges: isOrdered && direction === 'prev' ? bestPlan.keyRanges.toReversed() : bestPlan.keyRanges,
+    direction: isOrdered ? direction : 'next',
+    where: remainingWhere,
+    isFiltered: Object.keys(remainingWhere).length > 0,
+    // Rows read from another index are sorted in memory
+    sort: isOrdered ? null : terms
+  }
+}
@@ -0,0 +1,152 @@
+import { has } from 'bibliotech'
+import CustomError from '../CustomError.js'
+import ValidationError from '../ValidationError.js'
+
+
+/**
+ * @typedef {{
+ *   where: { [field: string]: object },
+ *   order?: Array<[string, string]>,
+ *   limit?: number,
+ *   offset?: number,
+ *   after?: string | null
+ * }} QueryCondition
+ */
+
+// `filter[field]` or `filter[field][$operator]`, the field supports the dot notation
+const FILTER_PATTERN = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/
+
+// Operators usable in a query string, the others expect a function
+const FILTER_OPERATORS = ['$equal', '$notequal', '$gt', '$gte', '$lt', '$lte', '$in', '$notin']
+
+// Operators expecting a comma separated list
+const LIST_OPERATORS = ['$in', '$notin']
+
+// ISO 8601 date, with an optional time: `2024-01-01` or `2024-01-01T10:00:00.000Z`
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?$/
+
+// String values of the booleans
+/** @type {{ [value: string]: boolean }} */
+const BOOLEAN_VALUES = { true: true, false: false }
+
+// Conversions of a filter value to the type of the field, undefined if impossible
+// Dates are kept as given: they are compared as strings with the saved values, which may be dates without time
+/** @type {{ [type: string]: (value: string) => any }} */
+const COERCIONS = {
+  string: (value) => value,
+  number: (value) => value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined,
+  boolean: (value) => has(BOOLEAN_VALUES, value) ? BOOLEAN_VALUES[value] : undefined,
+  date: (value) => ISO_DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime()) ? value : undefined
+}
+
+/**
+ * Convert a query string into a find condition
+ * `?filter[status]=ACCEPTED&filter[startDate][$gte]=2024-01-01&sort=-createdAt&limit=20&offset=40`
+ * - `filter[field]=value`: equality, a repeated filter matches any of its values
+ * - `filter[field][$operator]=value`: $equal, $notequal, $gt, $gte, $lt, $lte, $in & $notin (comma separated)
+ * - `sort=field` or `sort=-field` (descending), several fields are comma separated: `sort=startDate,-author.lastName`
+ * - `limit` & `offset`: positive integers
+ * - `after`: token of the next page (keyset pagination), empty for the first page
+ * Other params are ignored
+ * @param {URLSearchParams} searchParams
+ * @param {object} options
+ * @param {Array<string> | object} options.filterable - filterable fields or type of each filterable field (string, number, boolean, date)
+ * @param {Array<string> | null} [options.sortable=null] - sortable fields, any if null
+ * @param {number | null} [options.maxLimit=null] - maximum & default limit
+ * @return {QueryCondition}
+ */
+export function parseQueryString (searchParams, { filterable, sortable = null, maxLimit = null }) {
+  /** @type {{ [field: string]: string }} */
+  const fieldTypes = Array.isArray(filterable)
+    ? Object.fromEntries(filterable.map(field => [field, 'string']))
+    : filterable
+  /** @type {Array<{ field: string, message: string }>} */
+  const errors = []
+
+  for (const [field, type] of Object.entries(fieldTypes)) {
+    if (!has(COERCIONS, type)) {
+      throw new CustomError(`query: unknown type \`${type}\` of the filterable field \`${field}\``)
+    }
+  }
+  /** @type {QueryCondition} */
+  const condition = { where: {} }
+
+  for (const key of new Set(searchParams.keys())) {
+    const filter = key.match(FILTER_PATTERN)
+
+    if (!filter) {
+      continue
+    }
+
+    const [, field, operator = '$equal'] = filter
+
+    if (!has(fieldTypes, field)) {
+      errors.push({ field: key, message: `\`${field}\` is not filterable` })
+      continue
+    }
+    if (!FILTER_OPERATORS.includes(operator)) {
+      errors.push({ field: key, message: `\`${operator}\` is not a filter operator` })
+      continue
+    }
+
+    const rawValues = searchParams.getAll(key)
+    const isList = LIST_OPERATORS.includes(operator) || (operator === '$equal' && rawValues.length > 1)
+    const values = (LIST_OPERATORS.includes(operator) ? rawValues.flatMap(value => value.split(',')) : rawValues)
+      .map(value => COERCIONS[fieldTypes[field]](value))
+
+    if (values.includes(undefined)) {
+      errors.push({ field: key, message: `value of \`${key}\` does not match the type \`${fieldTypes[field]}\`` })
+      continue
+    }
+
+    condition.where[field] = {
+      ...condition.where[field],
+      // A repeated equality filter matches any of its values
+      ...(isList ? { [operator === '$equal' ? '$in' : operator]: values } : { [operator]: values.at(-1) })
+    }
+  }
+
+  const sort = searchParams.get('sort')
+
+  if (sort) {
+    const order = sort
+      .split(',')
+      .map(field => field.trim())
+      .filter(field => field)
+      .map(field => /** @type {[string, string]} */ (field.startsWith('-') ? [field.slice(1), 'DESC'] : [field, 'ASC']))
+
+    for (const [field] of order) {
+      if (sortable && !sortable.includes(field)) {
+        errors.push({ field: 'sort', message: `\`${field}\` is not sortable` })
+      }
+    }
+
+    condition.order = order
+  }
+
+  for (const key of /** @type {Array<'limit' | 'offset'>} */ (['limit', 'offset'])) {
+    if (searchParams.has(key)) {
+      const value = Number(searchParams.get(key))
+
+      if (Number.isInteger(value) && value >= 0) {
+        condition[key] = value
+      } else {
+        errors.push({ field: key, message: `value of \`${key}\` must be a positive integer` })
+      }
+    }
+  }
+
+  if (searchParams.has('after')) {
+    condition.after = searchParams.get('after') || null
+  }
+
+  if (maxLimit !== null) {
+    condition.limit = Math.min(condition.limit ?? maxLimit, maxLimit)
+  }
+
+  if (errors.length) {
+    throw new ValidationError('Invalid query string', errors)
+  }
+
+  return condition
+}
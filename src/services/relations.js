@@ -0,0 +1,57 @@
+import { isArray, isString } from 'bibliotech'
+import CustomError from '../CustomError.js'
+
+
+export const RELATION_TYPES = ['belongsTo', 'hasMany', 'manyToMany']
+
+/**
+ * Group the relation paths of an include option by relation
+ * `['author', 'contacts', 'contacts.company']` gives `Map { author => [], contacts => ['company'] }`
+ * @param {Array<string>} include
+ * @return {Map<string, Array<string>>} nested relation paths of each relation
+ */
+export function groupInclude (include) {
+  if (!isArray(include) || !include.every(isString)) {
+    throw new CustomError('include: expecting a list of relation names')
+  }
+
+  const groups = new Map()
+
+  for (const path of include) {
+    const [relationName, ...nestedPath] = path.split('.')
+
+    if (!groups.has(relationName)) {
+      groups.set(relationName, [])
+    }
+    if (nestedPath.length) {
+      groups.get(relationName).push(nestedPath.join('.'))
+    }
+  }
+
+  return groups
+}
+
+/**
+ * Identify an IndexedDB key in a Map, keys of different types never collide
+ * @param {any} key - a valid key (see isValidKey)
+ * @return {string}
+ */
+export function toKeyId (key) {
+  if (isArray(key)) {
+    return `[${key.map(toKeyId).join(',')}]`
+  }
+  if (key instanceof Date) {
+    return `d${key.getTime()}`
+  }
+  if (isString(key)) {
+    return `s${JSON.stringify(key)}`
+  }
+  if (typeof key === 'number') {
+    return `n${key}`
+  }
+  // Binary keys
+  const bytes = ArrayBuffer.isView(key)
+    ? new Uint8Array(key.buffer, key.byteOffset, key.byteLength)
+    : new Uint8Array(key)
+  return `b${bytes.join(' ')}`
+}
@@ -0,0 +1,173 @@
+import { has, isArray, isFunction, isNumber, isObject, isString } from 'bibliotech'
+import CustomError from '../CustomError.js'
+
+
+/**
+ * @typedef {{ field: string, message: string }} SchemaError
+ */
+
+// Types of `typecheck`, plus `date` & `blob` (files of a form)
+/** @type {{ [type: string]: (value: any) => boolean }} */
+const TYPES = {
+  // Bypass
+  any: () => true,
+  unknown: () => true,
+  // Real types
+  array: isArray,
+  blob: (value) => value instanceof Blob,
+  boolean: (value) => value === true || value === false,
+  date: (value) => value instanceof Date && !Number.isNaN(value.getTime()),
+  function: isFunction,
+  number: isNumber,
+  object: isObject,
+  string: isString,
+  // Value
+  null: (value) => value === null,
+  false: (value) => value === false,
+  true: (value) => value === true
+}
+
+// String values of the booleans
+/** @type {{ [value: string]: boolean }} */
+const BOOLEAN_VALUES = { true: true, 1: true, false: false, 0: false }
+
+// Conversions of a string (url params, form fields, json dates) to a type
+// The string is returned unchanged if it can't be converted
+/** @type {{ [type: string]: (value: string) => any }} */
+const COERCIONS = {
+  array: (value) => value.split(','),
+  boolean: (value) => BOOLEAN_VALUES[value] ?? value,
+  date: (value) => /^-?\d+$/.test(value) ? new Date(Number(value)) : new Date(value),
+  number: (value) => value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value
+}
+
+/**
+ * Check if a type describes the properties of an object: `['object', { ...fields }]`
+ * @param {string | Array<any>} type
+ * @return {boolean}
+ */
+function isObjectType (type) {
+  return (
+    isArray(type) &&
+    type.length === 2 &&
+    type[0] === 'object' &&
+    isObject(type[1])
+  )
+}
+
+/**
+ * Validate & coerce a value against a single type
+ * @param {string} name
+ * @param {any} value
+ * @param {string | Array<any>} type
+ * @param {object | undefined} items - spec of the items of an array
+ * @param {Array<SchemaError>} errors
+ * @return {any}
+ */
+function validateType (name, value, type, items, errors) {
+  if (isObjectType(type)) {
+    if (!isObject(value)) {
+      errors.push({ field: name, message: `value of \`${name}\` does not match the required type \`object\`` })
+      return value
+    }
+
+    /** @type {{ [key: string]: any }} */
+    const validValue = {}
+
+    for (const key of Object.keys(value)) {
+      if (!has(type[1], key)) {
+        errors.push({ field: `${name}.${key}`, message: `\`${name}\` does not accept \`${key}\` property` })
+      }
+    }
+
+    for (const [key, spec] of Object.entries(type[1])) {
+      const validItem = validateField(`${name}.${key}`, value[key], spec, errors)
+      if (validItem !== undefined) {
+        validValue[key] = validItem
+      }
+    }
+
+    return validValue
+  }
+
+  if (typeof type !== 'string' || !has(TYPES, type)) {
+    throw new CustomError(`schema: unknown type \`${type}\` of \`${name}\``)
+  }
+
+  const coercedValue = isString(value) && has(COERCIONS, type)
+    ? COERCIONS[type](value)
+    : value
+
+  if (!TYPES[type](coercedValue)) {
+    errors.push({ field: name, message: `value of \`${name}\` does not match the required type \`${type}\`` })
+    return value
+  }
+
+  if (type === 'array' && items) {
+    return /** @type {Array<any>} */ (coercedValue).map((item, index) => validateField(`${name}.${index}`, item, items, errors))
+  }
+
+  return coercedValue
+}
+
+/**
+ * Validate & coerce a value against its spec
+ * @param {string} name
+ * @param {any} value
+ * @param {object} spec
+ * @param {string | Array<any>} [spec.type='any'] - a type, `['object', { ...fields }]` or a list of types
+ * @param {boolean} [spec.required=false]
+ * @param {object} [spec.items] - spec of the items of an array
+ * @param {Array<SchemaError>} errors
+ * @return {any}
+ */
+function validateField (name, value, { type = 'any', required = false, items }, errors) {
+  if (value === undefined) {
+    if (required) {
+      errors.push({ field: name, message: `\`${name}\` is required but missing` })
+    }
+    return value
+  }
+
+  const types = typeof type === 'string' || isObjectType(type) ? [type] : type
+
+  // A single type reports its own errors
+  if (types.length === 1) {
+    return validateType(name, value, types[0], items, errors)
+  }
+
+  // The first matching type wins
+  for (const candidateType of types) {
+    /** @type {Array<SchemaError>} */
+    const candidateErrors = []
+    const validValue = validateType(name, value, candidateType, items, candidateErrors)
+
+    if (!candidateErrors.length) {
+      return validValue
+    }
+  }
+
+  errors.push({ field: name, message: `value of \`${name}\` does not match one of the required types \`${types.map(t => isObjectType(t) ? 'object' : t)}\`` })
+  return value
+}
+
+/**
+ * Validate & coerce an object with the `typecheck` format
+ * Example: { limit: { type: 'number' }, tags: { type: 'array', items: { type: 'string' } } }
+ * Strings are converted to the expected type (number, boolean, date, array) when possible
+ * Unknown properties are rejected
+ * @param {string} name - name of the object in the error messages
+ * @param {object | null} value
+ * @param {object} fields - spec of each property
+ * @return {{ value: object, errors: Array<SchemaError> }}
+ */
+export function validateSchema (name, value, fields) {
+  /** @type {Array<SchemaError>} */
+  const errors = []
+  const validValue = validateField(name, value ?? {}, { type: ['object', fields] }, errors)
+
+  return {
+    value: validValue,
+    errors
+  }
+}
@@ -0,0 +1,106 @@
+import { stringifySearchParams } from 'bibliotech'
+import CustomError from '../CustomError.js'
+import HttpError from '../HttpError.js'
+
+
+// Statuses worth a retry: the same request may succeed later
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504]
+
+/**
+ * @param {number} delay - in ms
+ * @return {Promise<void>}
+ */
+function wait (delay) {
+  return new Promise(resolve => setTimeout(resolve, delay))
+}
+
+/**
+ * Read the body of a response as json if possible
+ * @param {Response} response
+ * @return {Promise<any>}
+ */
+export async function parseBody (response) {
+  const text = await response.text()
+
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text || null
+  }
+}
+
+/**
+ * Create the default transport of Backinfront
+ * A transport receives a request description and resolves with a Response
+ * @param {object} [options]
+ * @param {number} [options.timeout=30000] - max time to receive the response headers (in ms)
+ * @param {number} [options.retries=2] - retries after a network error, a timeout or a temporary server error
+ * @param {number} [options.retryDelay=1000] - delay before the first retry, doubled after each retry (in ms)
+ * @return {function}
+ */
+export function createFetchTransport ({ timeout = 30000, retries = 2, retryDelay = 1000 } = {}) {
+  /**
+   * @param {object} request
+   * @param {string} request.method
+   * @param {string} request.url
+   * @param {object} [request.searchParams]
+   * @param {object} [request.headers]
+   * @param {object | Blob} [request.body] - Blobs are sent as is, anything else as json
+   * @return {Promise<Response>}
+   */
+  return async function fetchTransport ({ method, url, searchParams, headers, body }) {
+    const isBlob = body instanceof Blob
+
+    // Build request init
+    /** @type {RequestInit} */
+    const requestInit = {
+      method,
+      mode: 'cors',
+      headers: {
+        ...headers,
+        'content-type': isBlob ? (body.type || 'application/octet-stream') : 'application/json'
+      }
+    }
+
+    // Set body
+    if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
+      requestInit.body = isBlob ? body : JSON.stringify(body)
+    }
+
+    const requestUrl = `${url}${stringifySearchParams(searchParams ?? {})}`
+
+    for (let attempt = 0; ; attempt++) {
+      const abortController = new AbortController()
+      const timeoutId = setTimeout(() => abortController.abort(), timeout)
+      let response
+
+      try {
+        response = await fetch(new Request(requestUrl, { ...requestInit, signal: abortController.signal }))
+      } catch (error) {
+        if (attempt < retries) {
+          await wait(retryDelay * 2 ** attempt)
+          continue
+        }
+
+        throw new CustomError(`fetch: ${abortController.signal.aborted ? `no response after ${timeout}ms` : /** @type {Error} */ (error).message}`)
+      } finally {
+        // The body can be streamed without time limit
+        clearTimeout(timeoutId)
+      }
+
+      if (response.ok) {
+        return response
+      }
+
+      if (RETRY_STATUSES.includes(response.status) && attempt < retries) {
+        await wait(retryDelay * 2 ** attempt)
+        continue
+      }
+
+      throw new HttpError(`fetch: Response status is ${response.status}`, {
+        status: response.status,
+        body: await parseBody(response)
+      })
+    }
+  }
+}